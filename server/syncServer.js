@@ -0,0 +1,95 @@
+// Reference sync server for the "rest" storage (src/restAdapter.js) - to develop and test syncing without a hosted service
+// Not meant for production: no accounts, no authentication, everything in one JSON file
+// Run it with: npm run sync-server - then start the app with REACT_APP_STORAGE=rest
+// Settings (environment): PORT (default 4000), DATA_FILE (default server/data.json)
+// API:
+// - GET /items -> { [key]: { value, version, updatedAt } }
+// - PUT /items/:key { value, baseVersion, updatedAt } -> { version, updatedAt }
+//   409 { current } when baseVersion is not the version stored (someone else changed it first)
+//   value is the raw string the app stores, null when the key was removed
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, "data.json");
+// a whole watched list fits easily - anything bigger is a mistake
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+const readItems = function () {
+	try {
+		return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+	} catch (err) {
+		if (err.code !== "ENOENT") console.error(`Could not read ${DATA_FILE}, starting empty: `, err.message);
+		return {};
+	}
+};
+
+// written to a temporary file first, so a crash never leaves half a file
+const writeItems = function (items) {
+	fs.writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(items, null, 2));
+	fs.renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+const items = readItems();
+
+const send = function (res, status, data) {
+	res.writeHead(status, {
+		"Content-Type": "application/json",
+		// the app runs on another port (npm start) - any origin may call this server
+		"Access-Control-Allow-Origin": "*",
+		"Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+		"Access-Control-Allow-Headers": "Content-Type",
+	});
+	res.end(data === undefined ? undefined : JSON.stringify(data));
+};
+
+const readBody = (req) =>
+	new Promise(function (resolve, reject) {
+		let body = "";
+		req.on("data", function (chunk) {
+			body += chunk;
+			if (body.length > MAX_BODY_SIZE) reject(Object.assign(new Error("Body too large"), { status: 413 }));
+		});
+		req.on("end", function () {
+			try {
+				resolve(JSON.parse(body));
+			} catch {
+				reject(Object.assign(new Error("The body is not JSON"), { status: 400 }));
+			}
+		});
+		req.on("error", reject);
+	});
+
+const putItem = async function (req, res, key) {
+	const { value, baseVersion, updatedAt } = await readBody(req);
+	if (value !== null && typeof value !== "string") return send(res, 400, { error: "value must be a string or null" });
+
+	const current = items[key];
+	// a key that isn't here (e.g. after data.json was reset) is version 0
+	if ((current?.version ?? 0) !== baseVersion)
+		return send(res, 409, { current: current ?? { value: null, version: 0, updatedAt: 0 } });
+
+	items[key] = { value, version: (current?.version ?? 0) + 1, updatedAt: Number(updatedAt) || Date.now() };
+	writeItems(items);
+	send(res, 200, { version: items[key].version, updatedAt: items[key].updatedAt });
+};
+
+const server = http.createServer(async function (req, res) {
+	const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+	try {
+		if (req.method === "OPTIONS") return send(res, 204);
+		if (req.method === "GET" && pathname === "/items") return send(res, 200, items);
+
+		const match = pathname.match(/^\/items\/(.+)$/);
+		if (req.method === "PUT" && match) return await putItem(req, res, decodeURIComponent(match[1]));
+
+		send(res, 404, { error: `Nothing at ${req.method} ${pathname}` });
+	} catch (err) {
+		send(res, err.status ?? 500, { error: err.message });
+	}
+});
+
+server.listen(PORT, () => console.log(`Sync server on http://localhost:${PORT} - data in ${DATA_FILE}`));
@@ -1,18 +1,195 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import StarRating from "./StarRating";
-import { useMovies } from "./useMovies";
-import { useLocalStoragestate } from "./useLocalStorageState";
-import { useKey } from "./useKey";
+import { useMovies, parseYearFilter } from "./useMovies";
+import { useLocalStoragestate, registerMigration, useStorageAdapter } from "./useLocalStorageState";
+import { useShortcut } from "./useShortcut";
+import { useMovieDetails } from "./useMovieDetails";
+import { getCachedTitles } from "./omdbClient";
+import { useOnlineStatus } from "./useOnlineStatus";
+import { useSyncStatus } from "./useSyncStatus";
+import { useAppUpdate } from "./useAppUpdate";
+import { applyUpdate } from "./serviceWorkerRegistration";
+import ImportExport, { useWatchedImport } from "./ImportExport";
+import Markdown from "./Markdown";
+import WatchedStats, { average } from "./WatchedStats";
+import { useUndoRedo } from "./useUndoRedo";
+import ShortcutHelp from "./ShortcutHelp";
+import ProfileSwitcher from "./ProfileSwitcher";
 
-// OMDB Key
-const OMDB_KEY = "af2eaa9a";
+// Options for the type filter in the search bar (values are the ones OMDB expects in the "type" parameter)
+const TYPE_FILTERS = [
+	{ value: "", label: "All types" },
+	{ value: "movie", label: "Movies" },
+	{ value: "series", label: "Series" },
+	{ value: "episode", label: "Episodes" },
+];
 
-// Function to calculate the average of elements in an array
-const average = (arr) => arr.reduce((acc, cur, i, arr) => acc + cur / arr.length, 0);
+// today's date in the user's timezone, as YYYY-MM-DD (the format of date inputs)
+const today = () => new Date().toLocaleDateString("en-CA");
+
+// The search and the open movie are kept in the URL (?q=matrix&movie=tt0133093)
+// so a reload keeps them, a movie can be shared with a link and the browser's back / forward buttons work
+const readUrl = function () {
+	const params = new URLSearchParams(window.location.search);
+	return { query: params.get("q") ?? "", selectedId: params.get("movie") };
+};
+
+// the current URL with q and movie updated (any other parameter is kept)
+const buildUrl = function ({ query, selectedId }) {
+	const params = new URLSearchParams(window.location.search);
+	if (query) params.set("q", query);
+	else params.delete("q");
+	if (selectedId) params.set("movie", selectedId);
+	else params.delete("movie");
+
+	const search = params.toString();
+	return `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+};
+
+// A viewing of a watched movie. Only the date is needed - rating and location (or platform) are optional
+// date may be null for movies watched before the diary existed
+const newViewing = ({ date = today(), rating = null, location = "" } = {}) => ({
+	id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+	date,
+	rating,
+	location,
+});
+
+// Watched list v1: every movie keeps the history of its ratings (movies added before that start it with their current rating, date unknown)
+registerMigration("watched", 1, (watched) =>
+	watched.map((movie) => ({
+		...movie,
+		ratingHistory: movie.ratingHistory ?? [{ rating: movie.userRating, date: null }],
+	})),
+);
+
+// Watched list v2: every movie keeps a diary of its viewings ({ id, date, rating, location })
+// the only date we may know of older movies is the one of their first rating
+registerMigration("watched", 2, (watched) =>
+	watched.map((movie) => ({
+		...movie,
+		viewings: movie.viewings ?? [
+			newViewing({ date: movie.ratingHistory?.[0]?.date?.slice(0, 10) ?? null, rating: movie.userRating }),
+		],
+	})),
+);
+
+// Options for sorting the watched list. "dateAdded" is the order in which movies were added to the list
+const WATCHED_SORT_OPTIONS = [
+	{ value: "dateAdded", label: "Date added" },
+	{ value: "userRating", label: "Your rating" },
+	{ value: "imdbRating", label: "IMDb rating" },
+	{ value: "runtime", label: "Runtime" },
+	{ value: "title", label: "Title" },
+	{ value: "year", label: "Year" },
+];
+
+// How the watched list is shown when the user hasn't chosen anything yet (most recent first, no filters)
+// collection is a tag - only the movies with that tag are shown ("" shows them all)
+const DEFAULT_WATCHED_VIEW = { sortBy: "dateAdded", sortDirection: "desc", minRating: 0, search: "", collection: "" };
+
+// How long (ms) the search waits after the last key pressed before asking OMDB
+const SEARCH_DEBOUNCE = 400;
+
+// How many recent searches are kept / suggestions are shown under the search box
+const MAX_RECENT_SEARCHES = 10;
+const MAX_SUGGESTIONS = 8;
+
+// What the dropdown under the search box shows: the recent searches when it's empty, otherwise
+// the recent searches, watched movies and titles from cached OMDB responses containing the text typed
+// Returns [{ text, source }] - source: "recent" / "watched" / "cached"
+const getSuggestions = function (query, recentSearches, watched) {
+	const text = query.trim().toLowerCase();
+	if (!text) return recentSearches.slice(0, MAX_SUGGESTIONS).map((search) => ({ text: search, source: "recent" }));
+
+	const matches = (title) => title.toLowerCase().includes(text) && title.toLowerCase() !== text;
+	const suggestions = [
+		...recentSearches.filter(matches).map((search) => ({ text: search, source: "recent" })),
+		...watched
+			.map((movie) => movie.title)
+			.filter(matches)
+			.map((title) => ({ text: title, source: "watched" })),
+		...getCachedTitles()
+			.filter(matches)
+			.map((title) => ({ text: title, source: "cached" })),
+	];
+
+	// the same title may come from several places - the first one wins
+	return suggestions
+		.filter(
+			(suggestion, i) =>
+				suggestions.findIndex((other) => other.text.toLowerCase() === suggestion.text.toLowerCase()) === i,
+		)
+		.slice(0, MAX_SUGGESTIONS);
+};
+
+// Every tag used in the watched list with the number of movies using it, most used first
+const getTagCounts = function (watched) {
+	const counts = new Map();
+	watched.forEach((movie) => (movie.tags ?? []).forEach((tag) => counts.set(tag, (counts.get(tag) ?? 0) + 1)));
+	return [...counts].sort(([tagA, a], [tagB, b]) => b - a || tagA.localeCompare(tagB));
+};
+
+// Value used to sort the watched list by the given option (index is the position in the list, i.e. the date added)
+const getSortValue = function (movie, sortBy, index) {
+	if (sortBy === "dateAdded") return index;
+	if (sortBy === "title") return movie.title ?? "";
+	// year may come as "2005–2010" for series - the first year is the one that counts
+	if (sortBy === "year") return parseInt(movie.year);
+	return movie[sortBy];
+};
+
+const isMissingNumber = (value) => typeof value !== "number" || Number.isNaN(value);
+
+// Applies the filters and the sort chosen in the watched list toolbar
+const filterAndSortWatched = function (watched, { sortBy, sortDirection, minRating, search, collection }) {
+	const searchText = search.trim().toLowerCase();
+	const direction = sortDirection === "asc" ? 1 : -1;
+
+	return (
+		watched
+			// keep the position in the original list, it's what "date added" sorts by
+			.map((movie, index) => ({ movie, value: getSortValue(movie, sortBy, index) }))
+			.filter(({ movie }) => movie.userRating >= minRating)
+			.filter(({ movie }) => !collection || movie.tags?.includes(collection))
+			// the text filter looks into the personal notes too
+			.filter(
+				({ movie }) =>
+					!searchText ||
+					movie.title?.toLowerCase().includes(searchText) ||
+					movie.notes?.toLowerCase().includes(searchText),
+			)
+			.sort(function (a, b) {
+				if (typeof a.value === "string") return a.value.localeCompare(b.value) * direction;
+				// movies without a value (e.g. runtime "N/A") always go to the end of the list
+				const [aMissing, bMissing] = [isMissingNumber(a.value), isMissingNumber(b.value)];
+				if (aMissing || bMissing) return aMissing - bMissing;
+				return (a.value - b.value) * direction;
+			})
+			.map(({ movie }) => movie)
+	);
+};
+
+// Returns the watched movie with the updates applied
+// whenever the rating changes, the new one is added to the movie's rating history
+const updateWatchedMovie = function (movie, updates) {
+	const isNewRating = updates.userRating !== undefined && updates.userRating !== movie.userRating;
+	if (!isNewRating) return { ...movie, ...updates };
+
+	// movies added before the history existed start it with their current rating (date unknown)
+	const ratingHistory = movie.ratingHistory ?? [{ rating: movie.userRating, date: null }];
+
+	return {
+		...movie,
+		...updates,
+		ratingHistory: [...ratingHistory, { rating: updates.userRating, date: new Date().toISOString() }],
+	};
+};
 
 export default function App() {
-	const [query, setQuery] = useState("");
-	const [selectedId, setSelectedId] = useState(null);
+	const [query, setQuery] = useState(() => readUrl().query);
+	const [selectedId, setSelectedId] = useState(() => readUrl().selectedId);
+	const [filters, setFilters] = useState({ type: "", year: "" });
 	// const [watched, setWatched] = useState([]);
 	// const [watched, setWatched] = useState(function () {
 	// 	const storedValue = JSON.parse(localStorage.getItem("watched"));
@@ -20,15 +197,51 @@ export default function App() {
 	// });
 
 	const [watched, setWatched] = useLocalStoragestate([], "watched");
+	const [storedWatchedView, setWatchedView] = useLocalStoragestate(DEFAULT_WATCHED_VIEW, "watchedView");
+	// movies the user plans to watch - no rating needed
+	const [watchlist, setWatchlist] = useLocalStoragestate([], "watchlist");
+	// which list is shown in the right-hand box: "watched" or "watchlist"
+	const [listTab, setListTab] = useLocalStoragestate("watched", "listTab");
+
+	// every change to the watched list goes through commitWatched, so it can be undone
+	const { commit: commitWatched, undo: undoWatched, redo: redoWatched } = useUndoRedo(setWatched, "watchedHistory");
+	// message shown after a change to the watched list, with a button to undo (or redo) it
+	const [toast, setToast] = useState(null);
+
+	// every toast gets its own id, which restarts its timer
+	const showToast = (message, action) => setToast({ id: Date.now(), message, action });
+	const handleCloseToast = useCallback(() => setToast(null), []);
+
+	// options saved by an older version of the app may miss some of the current ones
+	const watchedView = { ...DEFAULT_WATCHED_VIEW, ...storedWatchedView };
+	const visibleWatched = filterAndSortWatched(watched, watchedView);
 
 	const handleSelectMovie = function (id) {
 		setSelectedId(() => (id === selectedId ? null : id));
 	};
 
-	// handleCloseMovie is passed as parameter in useMovies.
-	// There, it is in the dependency array
-	// To avoid all re-renders to re-declare handleCloseMovie and trigger useMovies in an infinite loop, we declare it using useCallback.
-	//This way it will only trigger a re-render if it actually changes.
+	// searches the user confirmed (Enter, a suggestion picked or a result opened), most recent first
+	const [recentSearches, setRecentSearches] = useLocalStoragestate([], "recentSearches");
+
+	const handleAddRecentSearch = function (search) {
+		const text = search.trim();
+		// shorter queries are never searched
+		if (text.length < 3) return;
+		setRecentSearches((searches) =>
+			[text, ...searches.filter((other) => other.toLowerCase() !== text.toLowerCase())].slice(0, MAX_RECENT_SEARCHES),
+		);
+	};
+
+	const handleRemoveRecentSearch = function (search) {
+		setRecentSearches((searches) => searches.filter((other) => other !== search));
+	};
+
+	// opening a result makes its search worth remembering
+	const handleSelectResult = function (id) {
+		handleAddRecentSearch(query);
+		handleSelectMovie(id);
+	};
+
 	const handleCloseMovie = useCallback(
 		function () {
 			setSelectedId(null);
@@ -36,62 +249,447 @@ export default function App() {
 		[setSelectedId],
 	);
 
+	// the query and movie last written to the URL
+	const urlState = useRef({ query, selectedId });
+	// set when back / forward changes the search - the movie in that URL must not be closed as if a new search was typed
+	const isRestoringUrl = useRef(false);
+
+	useEffect(
+		function () {
+			// a new search closes the open movie right after (see handleSearchChange) - waiting for it keeps the movie's step in the history untouched
+			if (selectedId && selectedId === urlState.current.selectedId && query !== urlState.current.query) return;
+
+			const url = buildUrl({ query, selectedId });
+
+			if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+				// opening / closing a movie is a step back can undo - typing only updates the current step (not one per key pressed)
+				const isNewStep = selectedId !== urlState.current.selectedId;
+				if (isNewStep) window.history.pushState(null, "", url);
+				else window.history.replaceState(null, "", url);
+			}
+			urlState.current = { query, selectedId };
+		},
+		[query, selectedId],
+	);
+
+	useEffect(function () {
+		const callback = function () {
+			const restored = readUrl();
+			if (restored.query !== urlState.current.query) isRestoringUrl.current = true;
+			// already in the URL - nothing to write back
+			urlState.current = restored;
+			setQuery(restored.query);
+			setSelectedId(restored.selectedId);
+		};
+
+		window.addEventListener("popstate", callback);
+
+		// cleanup function - removes the listener after unmount
+		return function () {
+			window.removeEventListener("popstate", callback);
+		};
+	}, []);
+
+	// handleSearchChange is passed as parameter in useMovies.
+	// There, it is in the dependency array
+	// To avoid all re-renders to re-declare handleSearchChange and trigger useMovies in an infinite loop, we declare it using useCallback.
+	//This way it will only trigger a re-render if it actually changes.
+	// a new search closes the open movie - unless the search came from back / forward, which brings its own movie (or none)
+	const handleSearchChange = useCallback(function () {
+		if (isRestoringUrl.current) {
+			isRestoringUrl.current = false;
+			return;
+		}
+		setSelectedId(null);
+	}, []);
+
+	// records the change (so it can be undone) and offers to undo it right away
+	const changeWatched = function (label, changes) {
+		commitWatched(label, changes);
+		showToast(label, "undo");
+	};
+
+	const handleUndoWatched = function () {
+		const step = undoWatched();
+		if (step) showToast(`Undone: ${step.label}`, "redo");
+	};
+
+	const handleRedoWatched = function () {
+		const step = redoWatched();
+		if (step) showToast(`Redone: ${step.label}`, "undo");
+	};
+
+	// inside text fields they keep undoing the typing, as usual
+	useShortcut("Ctrl+Z", handleUndoWatched, { description: "Undo the last change to your lists" });
+	useShortcut("Ctrl+Shift+Z", handleRedoWatched, { description: "Redo" });
+
+	// g, then the first letter of the tab
+	const goToTab = function (tab) {
+		handleCloseMovie();
+		setListTab(tab);
+	};
+	useShortcut("g w", () => goToTab("watched"), { description: "Go to your watched movies" });
+	useShortcut("g d", () => goToTab("diary"), { description: "Go to your diary" });
+	useShortcut("g s", () => goToTab("stats"), { description: "Go to your statistics" });
+	useShortcut("g l", () => goToTab("watchlist"), { description: "Go to your watchlist (want to watch)" });
+
+	const [isHelpOpen, setIsHelpOpen] = useState(false);
+	const handleCloseHelp = useCallback(() => setIsHelpOpen(false), []);
+	useShortcut("?", () => setIsHelpOpen((isOpen) => !isOpen), { description: "Show / hide the keyboard shortcuts" });
+
+	// rating a movie from the watchlist moves it to the watched list
 	const handleAddWatched = function (movie) {
-		setWatched((watched) => [...watched, movie]);
+		changeWatched(`Added "${movie.title}"`, [{ id: movie.imdbID, index: watched.length, before: null, after: movie }]);
+		setWatchlist((watchlist) => watchlist.filter((item) => item.imdbID !== movie.imdbID));
+	};
+
+	const handleAddToWatchlist = function (movie) {
+		setWatchlist((watchlist) => [...watchlist, { ...movie, addedAt: new Date().toISOString() }]);
+	};
+
+	const handleRemoveFromWatchlist = function (id) {
+		setWatchlist((watchlist) => watchlist.filter((movie) => movie.imdbID !== id));
+	};
+
+	// updates a movie already in the watched list, keeping its position in the list
+	const handleUpdateWatched = function (id, updates) {
+		const index = watched.findIndex((movie) => movie.imdbID === id);
+		if (index === -1) return;
+
+		const movie = watched[index];
+		changeWatched(`Updated "${movie.title}"`, [
+			{ id, index, before: movie, after: updateWatchedMovie(movie, updates) },
+		]);
+	};
+
+	// newMovies are added at the end of the list, replacedMovies update the rating of the ones already there
+	// the whole import is a single step - undoing it removes / restores every movie at once
+	const handleImportWatched = function (newMovies, replacedMovies) {
+		const replaceChanges = watched
+			.map(function (movie, index) {
+				const replacement = replacedMovies.find((replaced) => replaced.imdbID === movie.imdbID);
+				if (!replacement) return null;
+				return {
+					id: movie.imdbID,
+					index,
+					before: movie,
+					after: updateWatchedMovie(movie, { userRating: replacement.userRating }),
+				};
+			})
+			.filter(Boolean);
+
+		// Letterboxd tells us when the movie was rated/watched - JSON exports bring their own history
+		const addChanges = newMovies.map(({ date, ...movie }, i) => ({
+			id: movie.imdbID,
+			index: watched.length + i,
+			before: null,
+			after: {
+				...movie,
+				ratingHistory: movie.ratingHistory ?? [
+					{ rating: movie.userRating, date: date ? new Date(date).toISOString() : null },
+				],
+				viewings: movie.viewings ?? [newViewing({ date: date?.slice(0, 10) ?? null, rating: movie.userRating })],
+			},
+		}));
+
+		changeWatched(`Imported ${newMovies.length + replacedMovies.length} movies`, [...replaceChanges, ...addChanges]);
+		setWatchlist((watchlist) => watchlist.filter((item) => !newMovies.some((movie) => movie.imdbID === item.imdbID)));
+	};
+
+	// up here, so an import in progress survives opening a movie or another tab (ImportExport is not shown then)
+	const watchedImport = useWatchedImport(watched, handleImportWatched);
+
+	// removes a single viewing from the diary (the movie stays in the watched list)
+	const handleDeleteViewing = function (id, viewingId) {
+		const movie = watched.find((movie) => movie.imdbID === id);
+		if (!movie) return;
+
+		handleUpdateWatched(id, { viewings: movie.viewings.filter((viewing) => viewing.id !== viewingId) });
 	};
 
 	const handleDeleteWatched = function (id) {
-		setWatched((watched) => watched.filter((movie) => movie.imdbID !== id));
+		const index = watched.findIndex((movie) => movie.imdbID === id);
+		if (index === -1) return;
+
+		changeWatched(`Removed "${watched[index].title}"`, [{ id, index, before: watched[index], after: null }]);
 	};
 
-	const { isLoading, movies, error } = useMovies(query, handleCloseMovie);
+	const {
+		isLoading,
+		isLoadingMore,
+		movies,
+		error,
+		totalResults,
+		isPartialTotal,
+		hasMore,
+		canAutoLoad,
+		isFromCache,
+		loadMore,
+		loadMoreError,
+		retry: retrySearch,
+	} = useMovies(query, handleSearchChange, { ...filters, debounce: SEARCH_DEBOUNCE });
+
+	// moves the details to the previous (-1) or next (1) search result
+	// does nothing at either end of the list, or for a movie opened from another list (e.g. the watchlist)
+	const handleStepMovie = function (offset) {
+		const index = movies?.findIndex((movie) => movie.imdbID === selectedId) ?? -1;
+		const movie = index === -1 ? undefined : movies[index + offset];
+		if (movie) setSelectedId(movie.imdbID);
+	};
 
 	return (
 		<>
 			<NavBar>
 				<Logo />
-				<Search query={query} setQuery={setQuery} />
-				<NumResults movies={movies} />
+				<div className="search-bar">
+					<Search
+						query={query}
+						setQuery={setQuery}
+						recentSearches={recentSearches}
+						watched={watched}
+						onAddRecentSearch={handleAddRecentSearch}
+						onRemoveRecentSearch={handleRemoveRecentSearch}
+					/>
+					<SearchFilters filters={filters} setFilters={setFilters} />
+				</div>
+				<NumResults
+					totalResults={totalResults}
+					isPartialTotal={isPartialTotal}
+					isFromCache={isFromCache}
+					filters={filters}
+				/>
 			</NavBar>
 			<Main>
 				<Box>
 					{isLoading && <Loader />}
-					{!isLoading && !error && <MovieList onSelectMovie={handleSelectMovie} movies={movies} />}
-					{error && <ErrorMessage message={error} />}
+					{!isLoading && !error && (
+						<MovieList
+							onSelectMovie={handleSelectResult}
+							selectedId={selectedId}
+							movies={movies}
+							hasMore={hasMore}
+							canAutoLoad={canAutoLoad}
+							isLoadingMore={isLoadingMore}
+							loadMoreError={loadMoreError}
+							onLoadMore={loadMore}
+						/>
+					)}
+					{error && <ErrorMessage error={error} onRetry={retrySearch} />}
 				</Box>
 				<Box>
 					{selectedId ? (
 						<MovieDetails
+							// a new key for each movie starts the details (rating, edit mode...) from scratch
+							key={selectedId}
 							onCloseMovie={handleCloseMovie}
+							onStepMovie={handleStepMovie}
 							selectedId={selectedId}
 							onAddWatched={handleAddWatched}
+							onUpdateWatched={handleUpdateWatched}
+							onAddToWatchlist={handleAddToWatchlist}
+							onRemoveFromWatchlist={handleRemoveFromWatchlist}
 							watched={watched}
+							watchlist={watchlist}
 						/>
 					) : (
 						<>
-							<WatchedSummary watched={watched} />
-							<WatchedMovieList watched={watched} onDeleteWatched={handleDeleteWatched} />
+							<ListTabs
+								tab={listTab}
+								setTab={setListTab}
+								tabs={[
+									{ value: "watched", label: `Watched (${watched.length})` },
+									{ value: "diary", label: "Diary" },
+									{ value: "stats", label: "Stats" },
+									{ value: "watchlist", label: `Want to watch (${watchlist.length})` },
+								]}
+							/>
+							{listTab === "stats" ? (
+								<WatchedStats watched={watched} />
+							) : listTab === "diary" ? (
+								<WatchedDiary watched={watched} onDeleteViewing={handleDeleteViewing} />
+							) : listTab === "watchlist" ? (
+								<>
+									<WatchlistSummary watchlist={watchlist} />
+									<Watchlist
+										watchlist={watchlist}
+										onSelectMovie={handleSelectMovie}
+										onRemoveFromWatchlist={handleRemoveFromWatchlist}
+									/>
+								</>
+							) : (
+								<>
+									<WatchedSummary
+										watched={visibleWatched}
+										totalCount={watched.length}
+										collection={watchedView.collection}
+									/>
+									<ImportExport watched={watched} importer={watchedImport} />
+									<Collections
+										tagCounts={getTagCounts(watched)}
+										collection={watchedView.collection}
+										setCollection={(collection) => setWatchedView((view) => ({ ...view, collection }))}
+									/>
+									<WatchedToolbar view={watchedView} setView={setWatchedView} />
+									<WatchedMovieList watched={visibleWatched} onDeleteWatched={handleDeleteWatched} />
+								</>
+							)}
 						</>
 					)}
 				</Box>
 			</Main>
+			{toast && (
+				<Toast
+					key={toast.id}
+					message={toast.message}
+					actionLabel={toast.action === "undo" ? "Undo" : "Redo"}
+					onAction={toast.action === "undo" ? handleUndoWatched : handleRedoWatched}
+					onClose={handleCloseToast}
+				/>
+			)}
+			{isHelpOpen && (
+				<ShortcutHelp scopes={{ results: "Search results", details: "Movie details" }} onClose={handleCloseHelp} />
+			)}
 		</>
 	);
 }
 
+// How long the undo message stays on screen
+const TOAST_DURATION = 6000;
+
+function Toast({ message, actionLabel, onAction, onClose }) {
+	useEffect(
+		function () {
+			const timer = setTimeout(onClose, TOAST_DURATION);
+
+			// cleanup function - no timer left behind when the toast is replaced or closed
+			return () => clearTimeout(timer);
+		},
+		[onClose],
+	);
+
+	return (
+		<div className="toast" role="status">
+			<span>{message}</span>
+			<button className="btn-toast" onClick={onAction}>
+				{actionLabel}
+			</button>
+			<button className="btn-toast-close" onClick={onClose} aria-label="Close">
+				&times;
+			</button>
+		</div>
+	);
+}
+
 function Loader() {
 	return <p className="loader">Loading...</p>;
 }
 
-function ErrorMessage({ message }) {
+// What each type of error (see the errors in omdbClient) means for the user, and whether trying again may help
+const ERROR_EXPLANATIONS = {
+	network: {
+		icon: "📡",
+		text: "The movie database can't be reached right now. Check your connection.",
+		canRetry: true,
+	},
+	http: { icon: "🧨", text: "The movie database had a problem answering. It may be back in a moment.", canRetry: true },
+	rateLimit: {
+		icon: "⏳",
+		text: "The movie database limits how many requests can be made. Wait a while before trying again.",
+		canRetry: true,
+	},
+	auth: {
+		icon: "🔑",
+		text: "The OMDB API key is missing or invalid - see Configuration in the README.",
+		canRetry: false,
+	},
+	tooManyResults: {
+		icon: "🔍",
+		text: "Type a few more letters, or narrow the search down with the type and year filters.",
+		canRetry: false,
+	},
+	notFound: { icon: "🤷", text: "Check the spelling, or try other filters.", canRetry: false },
+	// any other reason OMDB gives, and errors that don't come from OMDB at all
+	api: { icon: "🧨", text: "The movie database couldn't answer.", canRetry: true },
+	unknown: { icon: "🧨", text: "Something unexpected happened.", canRetry: true },
+};
+
+function ErrorMessage({ error, onRetry }) {
+	const { icon, text, canRetry } = ERROR_EXPLANATIONS[error.type] ?? ERROR_EXPLANATIONS.unknown;
+
 	return (
-		<p className="error">
-			<span>🧨 {message}</span>
-		</p>
+		<div className="error" role="alert">
+			<p>
+				<span>
+					{icon} {error.message}
+				</span>
+			</p>
+			<p className="error-explanation">{text}</p>
+			{canRetry && onRetry && (
+				<button className="btn-retry" onClick={onRetry}>
+					Retry
+				</button>
+			)}
+		</div>
 	);
 }
 function NavBar({ children }) {
-	return <nav className="nav-bar">{children}</nav>;
+	const isOnline = useOnlineStatus();
+	const isUpdateReady = useAppUpdate();
+
+	return (
+		<nav className="nav-bar">
+			{children}
+			<ProfileSwitcher />
+			<SyncStatus />
+			{isUpdateReady && (
+				<button className="update-indicator" onClick={applyUpdate} title="Reloads the page">
+					🆕 New version - click to use it
+				</button>
+			)}
+			{!isOnline && (
+				<p
+					className="offline-indicator"
+					role="status"
+					title="Your lists still work - searches only find movies seen before"
+				>
+					📴 Offline
+				</p>
+			)}
+		</nav>
+	);
+}
+
+const SYNC_LABELS = {
+	syncing: "🔄 Syncing...",
+	synced: "☁️ Synced",
+	offline: "📴 Saved on this device",
+	error: "⚠️ Not synced",
+};
+
+// Only with a storage that syncs (REACT_APP_STORAGE=rest) - a click syncs right away
+function SyncStatus() {
+	const status = useSyncStatus();
+	const storage = useStorageAdapter();
+	if (!status) return null;
+
+	const pending = status.pending > 0 && status.state !== "syncing" ? ` (${status.pending} waiting)` : "";
+	const details =
+		status.state === "error"
+			? status.error
+			: status.lastSyncedAt && `Last synced at ${new Date(status.lastSyncedAt).toLocaleTimeString()}`;
+
+	return (
+		<button
+			className={`sync-status sync-${status.state}`}
+			onClick={storage.sync}
+			disabled={status.state === "syncing"}
+			title={details || undefined}
+			aria-live="polite"
+		>
+			{SYNC_LABELS[status.state]}
+			{pending}
+		</button>
+	);
 }
 
 function Logo() {
@@ -103,34 +701,206 @@ function Logo() {
 	);
 }
 
-function Search({ query, setQuery }) {
+// Where the global Enter (new search) is left alone: Enter on a button or a link clicks it, a star rating (slider / radio)
+// keeps its focus, and inside the results or the details Enter belongs to them (opening a movie, a rating not saved yet...)
+const KEEPS_ENTER =
+	"button, a, [role='button'], [role='slider'], [role='radio'], [role='radiogroup'], [data-shortcut-scope]";
+
+// The dropdown under the box (recent searches and suggestions) works as a combobox:
+// the arrow keys move through it, Enter picks the highlighted one, Delete forgets a recent search and Escape closes it
+function Search({ query, setQuery, recentSearches, watched, onAddRecentSearch, onRemoveRecentSearch }) {
 	const inputEl = useRef(null);
+	const [isOpen, setIsOpen] = useState(false);
+	// index of the highlighted suggestion (-1: none)
+	const [highlighted, setHighlighted] = useState(-1);
+
+	// only worked out while the dropdown is open - it goes through the whole request cache
+	const suggestions = isOpen ? getSuggestions(query, recentSearches, watched) : [];
+
+	const handleChange = function (e) {
+		setQuery(e.target.value);
+		setIsOpen(true);
+		setHighlighted(-1);
+	};
 
-	const handleEnter = function () {
-		if (document.activeElement === inputEl.current) return;
+	const handlePick = function (text) {
+		setQuery(text);
+		onAddRecentSearch(text);
+		setIsOpen(false);
+		setHighlighted(-1);
+	};
+
+	const handleKeyDown = function (e) {
+		const suggestion = suggestions[highlighted];
+
+		if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			if (!isOpen) return setIsOpen(true);
+			if (!suggestions.length) return;
+			const step = e.key === "ArrowDown" ? 1 : -1;
+			// wraps around, going through "nothing highlighted" (-1) - back to what was typed
+			setHighlighted(((highlighted + 1 + step + suggestions.length + 1) % (suggestions.length + 1)) - 1);
+		}
+
+		if (e.key === "Enter") {
+			if (suggestion) handlePick(suggestion.text);
+			else {
+				onAddRecentSearch(query);
+				setIsOpen(false);
+			}
+		}
+
+		if (e.key === "Delete" && suggestion?.source === "recent") {
+			e.preventDefault();
+			onRemoveRecentSearch(suggestion.text);
+			setHighlighted(-1);
+		}
+
+		if (e.key === "Escape" && isOpen) {
+			e.preventDefault();
+			setIsOpen(false);
+			setHighlighted(-1);
+		}
+	};
+
+	// Enter in a text field (e.g. a new line in the notes) belongs to that field - the registry leaves those alone
+	const handleEnter = function (e) {
+		if (e.target.closest?.(KEEPS_ENTER)) return false;
 		inputEl.current.focus();
 		setQuery("");
 	};
 
-	useKey("Enter", handleEnter);
+	useShortcut("Enter", handleEnter, { description: "Start a new search" });
+	// works from anywhere, even while typing somewhere else
+	useShortcut(
+		"Ctrl+K",
+		function () {
+			inputEl.current.focus();
+			inputEl.current.select();
+		},
+		{ description: "Go to the search box", allowInInputs: true },
+	);
+
+	const isExpanded = isOpen && suggestions.length > 0;
 
 	return (
-		<input
-			className="search"
-			type="text"
-			placeholder="Search movies..."
-			value={query}
-			onChange={(e) => setQuery(e.target.value)}
-			ref={inputEl}
-		/>
+		<div className="search-box">
+			<input
+				className="search"
+				type="text"
+				placeholder="Search movies..."
+				value={query}
+				onChange={handleChange}
+				onKeyDown={handleKeyDown}
+				onFocus={() => setIsOpen(true)}
+				onBlur={() => setIsOpen(false)}
+				ref={inputEl}
+				role="combobox"
+				aria-autocomplete="list"
+				aria-expanded={isExpanded}
+				aria-controls="search-suggestions"
+				aria-activedescendant={isExpanded && highlighted >= 0 ? `search-suggestion-${highlighted}` : undefined}
+			/>
+			{isExpanded && (
+				<ul className="search-suggestions" id="search-suggestions" role="listbox" aria-label="Suggestions">
+					{!query.trim() && (
+						<li className="search-suggestions-title" role="presentation">
+							Recent searches
+						</li>
+					)}
+					{suggestions.map((suggestion, i) => (
+						<li
+							key={`${suggestion.source}-${suggestion.text}`}
+							id={`search-suggestion-${i}`}
+							role="option"
+							aria-selected={i === highlighted}
+							className={i === highlighted ? "search-suggestion-highlighted" : ""}
+							// mousedown comes before the input's blur, which would close the dropdown first
+							onMouseDown={(e) => e.preventDefault()}
+							onClick={() => handlePick(suggestion.text)}
+						>
+							<span aria-hidden="true">{{ recent: "🕘", watched: "✅", cached: "🔎" }[suggestion.source]}</span>
+							<span className="search-suggestion-text">{suggestion.text}</span>
+							{suggestion.source === "recent" && (
+								<button
+									className="btn-remove-suggestion"
+									tabIndex={-1}
+									aria-label={`Forget "${suggestion.text}"`}
+									onClick={(e) => {
+										// picking the search would run it
+										e.stopPropagation();
+										onRemoveRecentSearch(suggestion.text);
+										setHighlighted(-1);
+									}}
+								>
+									&times;
+								</button>
+							)}
+						</li>
+					))}
+				</ul>
+			)}
+		</div>
 	);
 }
 
-function NumResults({ movies }) {
+function SearchFilters({ filters, setFilters }) {
+	// updates a single filter, keeping the others
+	const handleChange = function (e) {
+		const { name, value } = e.target;
+		setFilters((filters) => ({ ...filters, [name]: value }));
+	};
+
 	return (
-		<p className="num-results">
-			Found <strong>{movies.length}</strong> results
-		</p>
+		<div className="filters">
+			<select className="filter" name="type" value={filters.type} onChange={handleChange} aria-label="Type">
+				{TYPE_FILTERS.map(({ value, label }) => (
+					<option value={value} key={value}>
+						{label}
+					</option>
+				))}
+			</select>
+			<input
+				className="filter filter-year"
+				type="text"
+				name="year"
+				placeholder="Year"
+				value={filters.year}
+				onChange={handleChange}
+				aria-label="Release year or range (e.g. 1999 or 1990-1999)"
+				title="Release year or range (e.g. 1999 or 1990-1999)"
+			/>
+		</div>
+	);
+}
+
+function NumResults({ totalResults, isPartialTotal, isFromCache, filters }) {
+	const { type } = filters;
+	const typeLabel = TYPE_FILTERS.find((option) => option.value === type)?.label;
+
+	// a single year, an open range ("1990–" / "–1999") or a closed range ("1990–1999")
+	// years that can't be understood are ignored by useMovies, so they're not shown either
+	const { year, range } = parseYearFilter(filters.year);
+	const yearLabel = year || (range && `${range.from ?? ""}–${range.to ?? ""}`);
+
+	return (
+		<div className="num-results">
+			<p>
+				Found{" "}
+				<strong>
+					{totalResults}
+					{isPartialTotal ? "+" : ""}
+				</strong>{" "}
+				results
+			</p>
+			{isFromCache && <p className="active-filters">from movies seen before (offline)</p>}
+			{(type || yearLabel) && (
+				<p className="active-filters">
+					{type && <span>{typeLabel}</span>}
+					{yearLabel && <span>🗓 {yearLabel}</span>}
+				</p>
+			)}
+		</div>
 	);
 }
 
@@ -151,19 +921,125 @@ function Box({ children }) {
 	);
 }
 
-function MovieList({ onSelectMovie, movies }) {
+// Keyboard: Tab reaches the list (a single stop - roving focus), the arrow keys / Home / End move between the results and Enter opens one
+function MovieList({
+	onSelectMovie,
+	selectedId,
+	movies,
+	hasMore,
+	canAutoLoad,
+	isLoadingMore,
+	loadMoreError,
+	onLoadMore,
+}) {
+	// empty element at the end of the list. When it scrolls into view, the next page is fetched (while canAutoLoad)
+	const sentinelEl = useRef(null);
+	// the list items by imdbID, to move the focus between them
+	const itemEls = useRef({});
+	// the item reachable with Tab - the last one focused (or opened)
+	const [activeId, setActiveId] = useState(null);
+	const lastSelectedId = useRef(selectedId);
+
+	useEffect(
+		function () {
+			const closedId = lastSelectedId.current;
+			lastSelectedId.current = selectedId;
+
+			// the details may move to another result by themselves (arrow keys) - the list follows
+			if (selectedId) {
+				setActiveId(selectedId);
+				itemEls.current[selectedId]?.scrollIntoView({ block: "nearest" });
+				return;
+			}
+
+			// details closed: the focus goes back to the result they were opened from
+			// unless the user is already somewhere else (e.g. typing a new search, which also closes them)
+			if (closedId && (!document.activeElement || document.activeElement === document.body))
+				itemEls.current[closedId]?.focus();
+		},
+		[selectedId],
+	);
+
+	useEffect(
+		function () {
+			if (!hasMore || !canAutoLoad || !sentinelEl.current) return;
+
+			const observer = new IntersectionObserver(function (entries) {
+				if (entries[0].isIntersecting) onLoadMore();
+			});
+			observer.observe(sentinelEl.current);
+
+			// cleanup function - stop observing when the list changes or unmounts
+			return function () {
+				observer.disconnect();
+			};
+		},
+		// re-observing after every new page makes sure we keep loading if the sentinel is still visible (short pages, tall screens)
+		// (empty pages don't grow the list though - canAutoLoad stops this after a few of them)
+		[hasMore, canAutoLoad, onLoadMore, movies],
+	);
+
+	// moves the focus to another result - getIndex gets the index of the focused one
+	const focusResult = function (getIndex) {
+		if (!movies?.length) return;
+
+		const index = movies.findIndex((movie) => movie.imdbID === activeId);
+		const newIndex = Math.min(Math.max(getIndex(index), 0), movies.length - 1);
+		itemEls.current[movies[newIndex].imdbID]?.focus();
+	};
+
+	// only while the focus is in the list
+	useShortcut("ArrowDown", () => focusResult((index) => index + 1), { scope: "results", description: "Next result" });
+	useShortcut("ArrowUp", () => focusResult((index) => index - 1), { scope: "results", description: "Previous result" });
+	useShortcut("Home", () => focusResult(() => 0), { scope: "results", description: "First result" });
+	useShortcut("End", () => focusResult(() => Infinity), { scope: "results", description: "Last result" });
+	// the "Load more" / "Retry" button at the end of the list keeps its own Enter
+	useShortcut("Enter", (e) => !e.target.closest("button") && activeId && onSelectMovie(activeId), {
+		scope: "results",
+		description: "Open the result",
+	});
+
+	// a new search may not contain the active item anymore - the first result takes its place
+	const tabbableId = movies?.some((movie) => movie.imdbID === activeId) ? activeId : movies?.[0]?.imdbID;
+
 	return (
-		<ul className="list list-movies">
+		<ul className="list list-movies" role="listbox" aria-label="Search results" data-shortcut-scope="results">
 			{movies?.map((movie) => (
-				<Movie onSelectMovie={onSelectMovie} movie={movie} key={movie.imdbID} />
+				<Movie
+					onSelectMovie={onSelectMovie}
+					movie={movie}
+					key={movie.imdbID}
+					isSelected={movie.imdbID === selectedId}
+					isTabbable={movie.imdbID === tabbableId}
+					onFocus={() => setActiveId(movie.imdbID)}
+					itemRef={(el) => (itemEls.current[movie.imdbID] = el)}
+				/>
 			))}
+			{hasMore && (
+				<li className="list-sentinel" role="none" ref={sentinelEl}>
+					{isLoadingMore && <Loader />}
+					{!isLoadingMore && loadMoreError && <ErrorMessage error={loadMoreError} onRetry={onLoadMore} />}
+					{!isLoadingMore && !loadMoreError && !canAutoLoad && (
+						<button className="btn-load-more" onClick={onLoadMore}>
+							Load more
+						</button>
+					)}
+				</li>
+			)}
 		</ul>
 	);
 }
 
-function Movie({ onSelectMovie, movie }) {
+function Movie({ onSelectMovie, movie, isSelected, isTabbable, onFocus, itemRef }) {
 	return (
-		<li onClick={() => onSelectMovie(movie.imdbID)}>
+		<li
+			role="option"
+			aria-selected={isSelected}
+			tabIndex={isTabbable ? 0 : -1}
+			ref={itemRef}
+			onFocus={onFocus}
+			onClick={() => onSelectMovie(movie.imdbID)}
+		>
 			<img src={movie.Poster} alt={`${movie.Title} poster`} />
 			<h3>{movie.Title}</h3>
 			<div>
@@ -176,11 +1052,20 @@ function Movie({ onSelectMovie, movie }) {
 	);
 }
 
-function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
-	const [movie, setMovie] = useState({});
-	const [isLoading, setIsLoading] = useState(false);
-	const [error, setError] = useState("");
+function MovieDetails({
+	onCloseMovie,
+	onStepMovie,
+	onAddWatched,
+	onUpdateWatched,
+	onAddToWatchlist,
+	onRemoveFromWatchlist,
+	selectedId,
+	watched,
+	watchlist,
+}) {
+	const { movie, isLoading, error, retry } = useMovieDetails(selectedId);
 	const [userRating, setUserRating] = useState(0);
+	const [isEditing, setIsEditing] = useState(false);
 
 	const countRatingDecision = useRef(0);
 	useEffect(function () {
@@ -203,18 +1088,32 @@ function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
 
 	// loads the userRating for the movie, in case it has been watched
 	// if it hasn't been watched, will be zero (initial value)
-	const watchedUserRating = watched.reduce((acc, movie) => (movie.imdbID === selectedId ? movie.userRating : acc), 0);
+	const watchedMovie = watched.find((movie) => movie.imdbID === selectedId);
+	const watchedUserRating = watchedMovie?.userRating ?? 0;
+	const isInWatchlist = watchlist.some((movie) => movie.imdbID === selectedId);
+
+	// what we keep of the movie, both in the watched list and in the watchlist
+	const getMovieEntry = () => ({
+		imdbID: selectedId,
+		title,
+		year,
+		poster,
+		runtime: +runtime.split(" ").at(0),
+		imdbRating: +imdbRating,
+		// kept for the statistics
+		genre,
+		director,
+		actors,
+		released,
+	});
 
 	const handleAdd = function () {
 		const newWatchedMovie = {
-			imdbID: selectedId,
-			title,
-			year,
-			poster,
-			runtime: +runtime.split(" ").at(0),
-			imdbRating: +imdbRating,
+			...getMovieEntry(),
 			userRating,
 			countRatingDecision: countRatingDecision.current,
+			ratingHistory: [{ rating: userRating, date: new Date().toISOString() }],
+			viewings: [newViewing({ rating: userRating })],
 		};
 
 		onAddWatched(newWatchedMovie);
@@ -223,40 +1122,20 @@ function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
 		onCloseMovie();
 	};
 
-	useEffect(
-		function () {
-			async function getMovieDetails() {
-				try {
-					setIsLoading(true);
-					setError("");
-
-					// Call OMDB to fetch the selected movie
-					const res = await fetch(`https://www.omdbapi.com/?apikey=${OMDB_KEY}&i=${selectedId}`);
-
-					// If Fetch didn't return valid results throw error
-					if (!res.ok) throw new Error("Something went wrong while fetching movie details");
-
-					const data = await res.json();
-
-					// data.Response is "False" when movie was not found
-					// This shouldn't happen, as we're searching with imdbID, but I put it just as a safety measure
-					if (data.Response === "False") throw new Error("Movie not found");
-
-					setMovie(data);
-					setError("");
-				} catch (err) {
-					console.error("Error: ", err.message);
-					setError(err.message);
-				} finally {
-					setIsLoading(false);
-				}
-			}
-			// Actually call the function to get the selected movie details
-			getMovieDetails();
-		},
-		// triggers the effect on mount AND whenever selectedId or watched are changed
-		[selectedId, watched],
-	);
+	const handleAddToWatchlist = function () {
+		onAddToWatchlist(getMovieEntry());
+	};
+
+	// starts editing from the current rating, so saving without touching the stars doesn't change anything
+	const handleStartEditing = function () {
+		setUserRating(watchedUserRating);
+		setIsEditing(true);
+	};
+
+	const handleSaveRating = function () {
+		onUpdateWatched(selectedId, { userRating });
+		setIsEditing(false);
+	};
 
 	useEffect(
 		function () {
@@ -274,11 +1153,23 @@ function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
 		[title],
 	);
 
-	useKey("Escape", onCloseMovie);
+	useShortcut("Escape", onCloseMovie, { description: "Close the movie details" });
+
+	// the details take the focus when opened, so the arrow keys below work right away
+	const detailsEl = useRef(null);
+	useEffect(function () {
+		detailsEl.current.focus();
+	}, []);
+
+	// only while the focus is in the details - StarRating uses the arrow keys for the rating first
+	// (up / down keep scrolling the details)
+	useShortcut("ArrowLeft", () => onStepMovie(-1), { scope: "details", description: "Previous result" });
+	useShortcut("ArrowRight", () => onStepMovie(1), { scope: "details", description: "Next result" });
 
 	return (
-		<div className="details">
-			{error && <ErrorMessage message={error} />}
+		<div className="details" tabIndex={-1} ref={detailsEl} data-shortcut-scope="details">
+			{isLoading && <Loader />}
+			{error && <ErrorMessage error={error} onRetry={retry} />}
 
 			{!isLoading && !error && (
 				<>
@@ -302,20 +1193,84 @@ function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
 					<section>
 						<div className="rating">
 							{/* watchedUserRating is zero when the user has not yet rated/added to the list */}
-							{watchedUserRating > 0 ? (
-								<p>You rated this movie {watchedUserRating} ⭐️</p>
+							{watchedUserRating > 0 && isEditing ? (
+								<>
+									<StarRating
+										maxRating={10}
+										size={24}
+										value={userRating}
+										allowHalf
+										onSetRating={setUserRating}
+										label="Your new rating"
+									/>
+									<div className="rating-actions">
+										<button className="btn-add" onClick={handleSaveRating}>
+											Save rating
+										</button>
+										<button className="btn-cancel" onClick={() => setIsEditing(false)}>
+											Cancel
+										</button>
+									</div>
+								</>
+							) : watchedUserRating > 0 ? (
+								<>
+									<p>You rated this movie {watchedUserRating} ⭐️</p>
+									<StarRating
+										maxRating={10}
+										size={18}
+										value={watchedUserRating}
+										readOnly
+										showRating={false}
+										label="Your rating"
+									/>
+									<button className="btn-edit" onClick={handleStartEditing}>
+										Change rating
+									</button>
+									<RatingHistory history={watchedMovie.ratingHistory} />
+									<LogViewing
+										viewings={watchedMovie.viewings ?? []}
+										onLogViewing={(viewing) =>
+											onUpdateWatched(selectedId, {
+												viewings: [...(watchedMovie.viewings ?? []), newViewing(viewing)],
+											})
+										}
+									/>
+								</>
 							) : (
 								<>
 									{" "}
-									<StarRating maxRating={10} size={24} onSetRating={setUserRating} />
+									<StarRating maxRating={10} size={24} allowHalf onSetRating={setUserRating} label="Your rating" />
 									{userRating > 0 ? (
 										<button className="btn-add" onClick={handleAdd}>
 											+ Add to list
 										</button>
 									) : null}
+									{/* no rating needed to plan to watch a movie - rating it later moves it to the watched list */}
+									{isInWatchlist ? (
+										<button className="btn-cancel" onClick={() => onRemoveFromWatchlist(selectedId)}>
+											✓ On your watchlist (remove)
+										</button>
+									) : (
+										<button className="btn-cancel" onClick={handleAddToWatchlist}>
+											+ Want to watch
+										</button>
+									)}
 								</>
 							)}
 						</div>
+						{watchedMovie && (
+							<TagEditor
+								tags={watchedMovie.tags ?? []}
+								allTags={getTagCounts(watched).map(([tag]) => tag)}
+								onChangeTags={(tags) => onUpdateWatched(selectedId, { tags })}
+							/>
+						)}
+						{watchedMovie && (
+							<MovieNotes
+								notes={watchedMovie.notes ?? ""}
+								onSaveNotes={(notes) => onUpdateWatched(selectedId, { notes })}
+							/>
+						)}
 						<p>
 							<em>{plot}</em>
 						</p>
@@ -328,17 +1283,333 @@ function MovieDetails({ onCloseMovie, onAddWatched, selectedId, watched }) {
 	);
 }
 
-function WatchedSummary({ watched }) {
+// Free-form tags of a watched movie. Tags already used in other movies are suggested while typing
+function TagEditor({ tags, allTags, onChangeTags }) {
+	const [newTag, setNewTag] = useState("");
+
+	// tags are case insensitive: typing "horror" when "Horror" exists reuses "Horror"
+	const handleAddTag = function (e) {
+		e.preventDefault();
+		const text = newTag.trim().replace(/\s+/g, " ");
+		if (!text) return;
+
+		const tag = allTags.find((tag) => tag.toLowerCase() === text.toLowerCase()) ?? text;
+		if (!tags.includes(tag)) onChangeTags([...tags, tag]);
+		setNewTag("");
+	};
+
+	return (
+		<div className="tags">
+			<h3>Tags</h3>
+			<ul className="tag-list">
+				{tags.map((tag) => (
+					<li className="tag" key={tag}>
+						{tag}
+						<button
+							className="btn-remove-tag"
+							onClick={() => onChangeTags(tags.filter((t) => t !== tag))}
+							aria-label={`Remove tag ${tag}`}
+						>
+							&times;
+						</button>
+					</li>
+				))}
+			</ul>
+			<form className="tag-form" onSubmit={handleAddTag}>
+				<input
+					type="text"
+					list="tag-suggestions"
+					placeholder="Add a tag (e.g. Horror month)"
+					value={newTag}
+					onChange={(e) => setNewTag(e.target.value)}
+				/>
+				<datalist id="tag-suggestions">
+					{allTags
+						.filter((tag) => !tags.includes(tag))
+						.map((tag) => (
+							<option value={tag} key={tag} />
+						))}
+				</datalist>
+				<button className="btn-edit">Add</button>
+			</form>
+		</div>
+	);
+}
+
+// Personal notes / review of a watched movie, written in simple Markdown (see Markdown.js for what's supported)
+function MovieNotes({ notes, onSaveNotes }) {
+	const [isEditing, setIsEditing] = useState(false);
+	const [draft, setDraft] = useState(notes);
+	const [isPreview, setIsPreview] = useState(false);
+
+	const handleStartEditing = function () {
+		setDraft(notes);
+		setIsPreview(false);
+		setIsEditing(true);
+	};
+
+	const handleSave = function () {
+		onSaveNotes(draft.trim());
+		setIsEditing(false);
+	};
+
+	if (!isEditing)
+		return (
+			<div className="notes">
+				<h3>Your notes</h3>
+				{notes ? <Markdown text={notes} /> : <p className="notes-empty">Nothing written yet</p>}
+				<button className="btn-edit" onClick={handleStartEditing}>
+					{notes ? "Edit notes" : "+ Write notes"}
+				</button>
+			</div>
+		);
+
+	return (
+		<div className="notes">
+			<div className="notes-header">
+				<h3>Your notes</h3>
+				<button className="btn-notes-mode" onClick={() => setIsPreview((isPreview) => !isPreview)}>
+					{isPreview ? "Write" : "Preview"}
+				</button>
+			</div>
+			{isPreview ? (
+				<Markdown text={draft} />
+			) : (
+				<textarea
+					className="notes-editor"
+					value={draft}
+					onChange={(e) => setDraft(e.target.value)}
+					rows={8}
+					placeholder={
+						"What did you think?\n\n**bold**, *italic*, - lists, ||spoiler|| or a paragraph starting with >! to hide it"
+					}
+					autoFocus
+				/>
+			)}
+			<div className="rating-actions">
+				<button className="btn-add" onClick={handleSave}>
+					Save notes
+				</button>
+				<button className="btn-cancel" onClick={() => setIsEditing(false)}>
+					Cancel
+				</button>
+			</div>
+		</div>
+	);
+}
+
+// Form to log one more viewing of a watched movie (a rewatch) - only the date is required
+function LogViewing({ viewings, onLogViewing }) {
+	const [isOpen, setIsOpen] = useState(false);
+	const [date, setDate] = useState(today);
+	const [rating, setRating] = useState("");
+	const [location, setLocation] = useState("");
+
+	const lastDate = viewings
+		.map((viewing) => viewing.date)
+		.filter(Boolean)
+		.sort()
+		.at(-1);
+
+	const handleSubmit = function (e) {
+		e.preventDefault();
+		if (!date) return;
+
+		onLogViewing({ date, rating: rating ? +rating : null, location: location.trim() });
+		setIsOpen(false);
+		setRating("");
+		setLocation("");
+	};
+
+	return (
+		<>
+			<p className="viewing-info">
+				Watched {viewings.length} {viewings.length === 1 ? "time" : "times"}
+				{lastDate && `, last on ${new Date(`${lastDate}T00:00`).toLocaleDateString()}`}
+			</p>
+			{isOpen ? (
+				<form className="log-viewing" onSubmit={handleSubmit}>
+					<input type="date" value={date} max={today()} onChange={(e) => setDate(e.target.value)} required />
+					<select value={rating} onChange={(e) => setRating(e.target.value)} aria-label="Rating">
+						<option value="">No rating</option>
+						{/* 0.5 to 10, in half stars */}
+						{Array.from({ length: 20 }, (_, i) => (
+							<option value={(i + 1) / 2} key={i}>
+								{(i + 1) / 2} 🌟
+							</option>
+						))}
+					</select>
+					<input
+						type="text"
+						placeholder="Where / platform (optional)"
+						value={location}
+						onChange={(e) => setLocation(e.target.value)}
+					/>
+					<div className="rating-actions">
+						<button className="btn-add">Log viewing</button>
+						<button type="button" className="btn-cancel" onClick={() => setIsOpen(false)}>
+							Cancel
+						</button>
+					</div>
+				</form>
+			) : (
+				<button className="btn-edit" onClick={() => setIsOpen(true)}>
+					+ Log another viewing
+				</button>
+			)}
+		</>
+	);
+}
+
+// Lists the earlier ratings given to a movie, most recent first (the last one in the history is the current rating, so it's skipped)
+function RatingHistory({ history = [] }) {
+	const pastRatings = history.slice(0, -1).reverse();
+
+	if (!pastRatings.length) return null;
+
+	return (
+		<ul className="rating-history">
+			{pastRatings.map(({ rating, date }, i) => (
+				<li key={i}>
+					Previously rated {rating} ⭐️ {date ? `on ${new Date(date).toLocaleDateString()}` : "(date unknown)"}
+				</li>
+			))}
+		</ul>
+	);
+}
+
+// Every viewing of every movie, grouped by month (most recent first)
+function WatchedDiary({ watched, onDeleteViewing }) {
+	const viewings = watched
+		.flatMap((movie) => (movie.viewings ?? []).map((viewing) => ({ ...movie, viewing })))
+		// viewings without a date go to the end
+		.sort((a, b) => (b.viewing.date ?? "").localeCompare(a.viewing.date ?? ""));
+
+	// "YYYY-MM" -> viewings of that month (Map keeps them in the order above)
+	const months = new Map();
+	viewings.forEach(function (movie) {
+		const month = movie.viewing.date?.slice(0, 7) ?? "unknown";
+		months.set(month, [...(months.get(month) ?? []), movie]);
+	});
+
+	if (!viewings.length) return <p className="diary-empty">No viewings logged yet</p>;
+
+	return (
+		<div className="diary">
+			{[...months].map(([month, movies]) => (
+				<section key={month}>
+					<h2 className="diary-month">
+						{month === "unknown"
+							? "Date unknown"
+							: new Date(`${month}-01T00:00`).toLocaleDateString(undefined, { month: "long", year: "numeric" })}{" "}
+						<span>({movies.length})</span>
+					</h2>
+					<WatchedMovieList watched={movies} onDeleteWatched={(id, viewing) => onDeleteViewing(id, viewing.id)} />
+				</section>
+			))}
+		</div>
+	);
+}
+
+function ListTabs({ tab, setTab, tabs }) {
+	return (
+		<div className="tabs" role="tablist">
+			{tabs.map(({ value, label }) => (
+				<button
+					className={`tab ${tab === value ? "tab-active" : ""}`}
+					role="tab"
+					aria-selected={tab === value}
+					onClick={() => setTab(value)}
+					key={value}
+				>
+					{label}
+				</button>
+			))}
+		</div>
+	);
+}
+
+function WatchlistSummary({ watchlist }) {
+	// runtime may be missing ("N/A" from OMDB ends up as NaN)
+	const totalRuntime = watchlist.reduce((acc, movie) => acc + (movie.runtime || 0), 0);
+
+	return (
+		<div className="summary">
+			<h2>Movies you want to watch</h2>
+			<div>
+				<p>
+					<span>#️⃣</span>
+					<span>{watchlist.length} movies</span>
+				</p>
+				<p>
+					<span>⏳</span>
+					<span>{(totalRuntime / 60).toFixed(1)} hours</span>
+				</p>
+			</div>
+		</div>
+	);
+}
+
+function Watchlist({ watchlist, onSelectMovie, onRemoveFromWatchlist }) {
+	return (
+		<ul className="list list-movies">
+			{watchlist.map((movie) => (
+				<WatchlistMovie
+					movie={movie}
+					key={movie.imdbID}
+					onSelectMovie={onSelectMovie}
+					onRemoveFromWatchlist={onRemoveFromWatchlist}
+				/>
+			))}
+		</ul>
+	);
+}
+
+// Clicking the movie opens its details, where it can be rated (and so moved to the watched list)
+function WatchlistMovie({ movie, onSelectMovie, onRemoveFromWatchlist }) {
+	const handleRemove = function (e) {
+		// the click would also reach the li and open the movie
+		e.stopPropagation();
+		onRemoveFromWatchlist(movie.imdbID);
+	};
+
+	return (
+		<li onClick={() => onSelectMovie(movie.imdbID)}>
+			<img src={movie.poster} alt={`${movie.title} poster`} />
+			<h3>{movie.title}</h3>
+			<div>
+				<p>
+					<span>🗓</span>
+					<span>{movie.year}</span>
+				</p>
+				<p>
+					<span>⭐️</span>
+					<span>{movie.imdbRating}</span>
+				</p>
+				<p>
+					<span>⏳</span>
+					<span>{movie.runtime} min</span>
+				</p>
+				<button className="btn-delete" onClick={handleRemove}>
+					❌
+				</button>
+			</div>
+		</li>
+	);
+}
+
+// watched is the list being shown (after the toolbar filters), totalCount is the size of the whole list
+function WatchedSummary({ watched, totalCount, collection }) {
 	const avgImdbRating = average(watched.map((movie) => movie.imdbRating));
 	const avgUserRating = average(watched.map((movie) => movie.userRating));
 	const avgRuntime = average(watched.map((movie) => movie.runtime));
 	return (
 		<div className="summary">
-			<h2>Movies you watched</h2>
+			<h2>Movies you watched{collection && ` · ${collection}`}</h2>
 			<div>
 				<p>
 					<span>#️⃣</span>
-					<span>{watched.length} movies</span>
+					<span>{watched.length === totalCount ? totalCount : `${watched.length} of ${totalCount}`} movies</span>
 				</p>
 				<p>
 					<span>⭐️</span>
@@ -357,21 +1628,111 @@ function WatchedSummary({ watched }) {
 	);
 }
 
+// Tags work as collections - picking one shows only its movies (and the summary of that collection)
+function Collections({ tagCounts, collection, setCollection }) {
+	if (!tagCounts.length && !collection) return null;
+
+	return (
+		<ul className="collections">
+			<li>
+				<button className={`collection ${!collection ? "collection-active" : ""}`} onClick={() => setCollection("")}>
+					All
+				</button>
+			</li>
+			{tagCounts.map(([tag, count]) => (
+				<li key={tag}>
+					<button
+						className={`collection ${tag === collection ? "collection-active" : ""}`}
+						onClick={() => setCollection(tag === collection ? "" : tag)}
+					>
+						{tag} <span>{count}</span>
+					</button>
+				</li>
+			))}
+		</ul>
+	);
+}
+
+function WatchedToolbar({ view, setView }) {
+	// updates a single option, keeping the others
+	const handleChange = function (e) {
+		const { name, value } = e.target;
+		setView((view) => ({ ...view, [name]: name === "minRating" ? +value : value }));
+	};
+
+	const handleToggleDirection = function () {
+		setView((view) => ({ ...view, sortDirection: view.sortDirection === "asc" ? "desc" : "asc" }));
+	};
+
+	return (
+		<div className="watched-toolbar">
+			<input
+				className="toolbar-search"
+				type="text"
+				name="search"
+				placeholder="Filter by title or notes..."
+				value={view.search}
+				onChange={handleChange}
+				aria-label="Filter by title or notes"
+			/>
+			<select name="minRating" value={view.minRating} onChange={handleChange} aria-label="Minimum rating">
+				<option value={0}>Any rating</option>
+				{Array.from({ length: 10 }, (_, i) => (
+					<option value={i + 1} key={i}>
+						{i + 1}+ 🌟
+					</option>
+				))}
+			</select>
+			<select name="sortBy" value={view.sortBy} onChange={handleChange} aria-label="Sort by">
+				{WATCHED_SORT_OPTIONS.map(({ value, label }) => (
+					<option value={value} key={value}>
+						{label}
+					</option>
+				))}
+			</select>
+			<button
+				className="btn-sort-direction"
+				onClick={handleToggleDirection}
+				title={view.sortDirection === "asc" ? "Ascending" : "Descending"}
+			>
+				{view.sortDirection === "asc" ? "↑" : "↓"}
+			</button>
+		</div>
+	);
+}
+
+// In the diary, each movie comes with the viewing it stands for (movie.viewing) - the same movie may then appear more than once
 function WatchedMovieList({ watched, onDeleteWatched }) {
 	return (
 		<ul className="list">
 			{watched.map((movie) => (
-				<WatchedMovie movie={movie} key={movie.imdbID} onDeleteWatched={onDeleteWatched} />
+				<WatchedMovie movie={movie} key={movie.viewing?.id ?? movie.imdbID} onDeleteWatched={onDeleteWatched} />
 			))}
 		</ul>
 	);
 }
 
+// onDeleteWatched gets the viewing too (in the diary), so it can remove just that viewing
 function WatchedMovie({ movie, onDeleteWatched }) {
+	const { viewing } = movie;
+
 	return (
 		<li>
 			<img src={movie.poster} alt={`${movie.title} poster`} />
-			<h3>{movie.title}</h3>
+			<h3>
+				{movie.title}
+				{movie.notes?.trim() && (
+					<span className="note-indicator" title="You wrote notes about this movie">
+						📝
+					</span>
+				)}
+			</h3>
+			{viewing && (
+				<p className="viewing-info">
+					{viewing.date ? new Date(`${viewing.date}T00:00`).toLocaleDateString() : "Date unknown"}
+					{viewing.location && ` · ${viewing.location}`}
+				</p>
+			)}
 			<div>
 				<p>
 					<span>⭐️</span>
@@ -379,13 +1740,13 @@ function WatchedMovie({ movie, onDeleteWatched }) {
 				</p>
 				<p>
 					<span>🌟</span>
-					<span>{movie.userRating}</span>
+					<span>{viewing?.rating ?? movie.userRating}</span>
 				</p>
 				<p>
 					<span>⏳</span>
 					<span>{movie.runtime} min</span>
 				</p>
-				<button className="btn-delete" onClick={() => onDeleteWatched(movie.imdbID)}>
+				<button className="btn-delete" onClick={() => onDeleteWatched(movie.imdbID, viewing)}>
 					❌
 				</button>
 			</div>
@@ -0,0 +1,224 @@
+import { useState, useRef, useEffect } from "react";
+import {
+	watchedToJSON,
+	watchedToCSV,
+	downloadFile,
+	parseImport,
+	resolveImport,
+	IMPORT_STATUS,
+} from "./watchedTransfer";
+
+// What is shown in the preview for each status
+const STATUS_LABELS = {
+	[IMPORT_STATUS.new]: "New",
+	[IMPORT_STATUS.duplicate]: "Already in your list",
+	[IMPORT_STATUS.notFound]: "Not found on IMDb - skipped",
+	[IMPORT_STATUS.noRating]: "No rating - skipped",
+};
+
+// today's date, for the name of the exported files
+const today = () => new Date().toISOString().slice(0, 10);
+
+// The state of an import (lookups, preview) - kept by App, above ImportExport, so an import goes on
+// while ImportExport is not shown (a movie opened, another tab...) instead of being thrown away
+export function useWatchedImport(watched, onImport) {
+	// idle -> resolving (looking up IMDb ids) -> preview (user reviews and confirms) -> idle
+	const [stage, setStage] = useState("idle");
+	const [error, setError] = useState("");
+	const [progress, setProgress] = useState({ done: 0, total: 0 });
+	const [importFormat, setImportFormat] = useState("");
+	const [rows, setRows] = useState([]);
+	// imdbID -> "keep" (the movie already in the list) or "replace" (with the imported one)
+	const [resolutions, setResolutions] = useState({});
+
+	// lets the user (or unmounting) stop the IMDb lookups of a big import
+	const controller = useRef(null);
+
+	// cleanup function - stops the lookups if the app goes away (e.g. another profile) in the middle of an import
+	useEffect(() => () => controller.current?.abort(), []);
+
+	const startImport = async function (file) {
+		controller.current = new AbortController();
+
+		try {
+			setError("");
+			const { format, movies } = parseImport(await file.text(), file.name);
+
+			setImportFormat(format);
+			setProgress({ done: 0, total: 0 });
+			setStage("resolving");
+
+			const resolved = await resolveImport(movies, watched, {
+				signal: controller.current.signal,
+				onProgress: (done, total) => setProgress({ done, total }),
+			});
+
+			setRows(resolved);
+			setResolutions({});
+			setStage("preview");
+		} catch (err) {
+			// AbortError means the user cancelled the import - not an actual error
+			if (err.name !== "AbortError") {
+				console.error(err.message);
+				setError(err.message);
+			}
+			setStage("idle");
+		}
+	};
+
+	const cancel = function () {
+		controller.current?.abort();
+		setRows([]);
+		setStage("idle");
+	};
+
+	// applies the same decision to every duplicate
+	const resolveAll = function (resolution) {
+		setResolutions(
+			Object.fromEntries(
+				rows.filter((row) => row.status === IMPORT_STATUS.duplicate).map((row) => [row.imdbID, resolution]),
+			),
+		);
+	};
+
+	const resolve = (imdbID, resolution) => setResolutions((resolutions) => ({ ...resolutions, [imdbID]: resolution }));
+
+	const confirm = function () {
+		// the status was only needed for the preview
+		const toMovie = ({ status, ...movie }) => movie;
+
+		const newMovies = rows.filter((row) => row.status === IMPORT_STATUS.new).map(toMovie);
+		const replacedMovies = rows
+			.filter((row) => row.status === IMPORT_STATUS.duplicate && resolutions[row.imdbID] === "replace")
+			.map(toMovie);
+
+		onImport(newMovies, replacedMovies);
+		setRows([]);
+		setStage("idle");
+	};
+
+	return {
+		stage,
+		error,
+		progress,
+		importFormat,
+		rows,
+		resolutions,
+		startImport,
+		cancel,
+		resolveAll,
+		resolve,
+		confirm,
+	};
+}
+
+// importer: what useWatchedImport returned
+export default function ImportExport({ watched, importer }) {
+	const { stage, error, progress, importFormat, rows, resolutions } = importer;
+	const fileInputEl = useRef(null);
+
+	const handleExportJSON = function () {
+		downloadFile(watchedToJSON(watched), `usepopcorn-watched-${today()}.json`, "application/json");
+	};
+
+	const handleExportCSV = function () {
+		downloadFile(watchedToCSV(watched), `usepopcorn-watched-${today()}.csv`, "text/csv");
+	};
+
+	const handleFile = function (e) {
+		const file = e.target.files[0];
+		// allows choosing the same file again later
+		e.target.value = "";
+		if (file) importer.startImport(file);
+	};
+
+	if (stage === "resolving")
+		return (
+			<div className="import-export">
+				<p>
+					Looking up {importFormat} movies on IMDb... {progress.done} / {progress.total}
+				</p>
+				<button className="btn-cancel" onClick={importer.cancel}>
+					Cancel
+				</button>
+			</div>
+		);
+
+	if (stage === "preview") {
+		const newCount = rows.filter((row) => row.status === IMPORT_STATUS.new).length;
+		const duplicateCount = rows.filter((row) => row.status === IMPORT_STATUS.duplicate).length;
+		const replaceCount = Object.values(resolutions).filter((resolution) => resolution === "replace").length;
+
+		return (
+			<div className="import-export import-preview">
+				<h3>
+					Import from {importFormat}: {newCount} new, {duplicateCount} already in your list
+				</h3>
+				{duplicateCount > 0 && (
+					<div className="import-resolve-all">
+						<span>For all duplicates:</span>
+						<button className="btn-cancel" onClick={() => importer.resolveAll("keep")}>
+							Keep mine
+						</button>
+						<button className="btn-cancel" onClick={() => importer.resolveAll("replace")}>
+							Use imported
+						</button>
+					</div>
+				)}
+				<ul className="import-rows">
+					{rows.map((row, i) => (
+						<ImportRow
+							row={row}
+							key={row.imdbID || i}
+							watchedMovie={watched.find((movie) => movie.imdbID === row.imdbID)}
+							resolution={resolutions[row.imdbID] ?? "keep"}
+							onResolve={(resolution) => importer.resolve(row.imdbID, resolution)}
+						/>
+					))}
+				</ul>
+				<div className="rating-actions">
+					<button className="btn-add" onClick={importer.confirm} disabled={!newCount && !replaceCount}>
+						Import {newCount + replaceCount} movies
+					</button>
+					<button className="btn-cancel" onClick={importer.cancel}>
+						Cancel
+					</button>
+				</div>
+			</div>
+		);
+	}
+
+	return (
+		<div className="import-export">
+			<button className="btn-cancel" onClick={handleExportJSON} disabled={!watched.length}>
+				Export JSON
+			</button>
+			<button className="btn-cancel" onClick={handleExportCSV} disabled={!watched.length}>
+				Export CSV
+			</button>
+			<button className="btn-cancel" onClick={() => fileInputEl.current.click()}>
+				Import...
+			</button>
+			<input type="file" accept=".json,.csv,application/json,text/csv" ref={fileInputEl} onChange={handleFile} hidden />
+			{error && <p className="import-error">🧨 {error}</p>}
+		</div>
+	);
+}
+
+function ImportRow({ row, watchedMovie, resolution, onResolve }) {
+	return (
+		<li className={`import-row import-row-${row.status}`}>
+			<span>
+				<strong>{row.title}</strong> ({row.year}) {row.userRating > 0 && `🌟 ${row.userRating}`}
+			</span>
+			{row.status === IMPORT_STATUS.duplicate ? (
+				<select value={resolution} onChange={(e) => onResolve(e.target.value)}>
+					<option value="keep">Keep mine (🌟 {watchedMovie?.userRating})</option>
+					<option value="replace">Use imported (🌟 {row.userRating})</option>
+				</select>
+			) : (
+				<span className="import-status">{STATUS_LABELS[row.status]}</span>
+			)}
+		</li>
+	);
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+
+// A (very) small Markdown renderer for personal notes. It builds React elements - no HTML is ever injected - so it's safe to render anything the user types
+// Blocks (separated by a blank line):
+//   # / ## / ### heading
+//   - item (or * item) - every line of the block is an item
+//   >! spoiler - every line of the block starts with >!, the whole block is hidden until clicked
+//   anything else is a paragraph (single line breaks are kept)
+// Inline: **bold**, *italic*, `code`, [link](https://...), ||spoiler||
+
+// Order matters: ** must be tried before *
+const INLINE_PATTERN = /(\*\*.+?\*\*|\*.+?\*|`.+?`|\|\|.+?\|\||\[[^\]]+\]\(https?:\/\/[^)\s]+\))/g;
+
+function renderInline(text) {
+	// split keeps the matched tokens (the capture group) between the plain text parts
+	return text.split(INLINE_PATTERN).map(function (part, i) {
+		if (part.startsWith("**") && part.endsWith("**") && part.length > 4)
+			return <strong key={i}>{renderInline(part.slice(2, -2))}</strong>;
+		if (part.startsWith("||") && part.endsWith("||") && part.length > 4)
+			return <Spoiler key={i}>{renderInline(part.slice(2, -2))}</Spoiler>;
+		if (part.startsWith("*") && part.endsWith("*") && part.length > 2)
+			return <em key={i}>{renderInline(part.slice(1, -1))}</em>;
+		if (part.startsWith("`") && part.endsWith("`") && part.length > 2) return <code key={i}>{part.slice(1, -1)}</code>;
+
+		const link = part.match(/^\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)$/);
+		if (link)
+			return (
+				<a key={i} href={link[2]} target="_blank" rel="noopener noreferrer">
+					{link[1]}
+				</a>
+			);
+
+		return part;
+	});
+}
+
+// keeps single line breaks inside a paragraph
+const renderLines = (lines) =>
+	lines.map((line, i) => (
+		<span key={i}>
+			{i > 0 && <br />}
+			{renderInline(line)}
+		</span>
+	));
+
+function renderBlock(block, i) {
+	const lines = block.split("\n");
+
+	const heading = block.match(/^(#{1,3})\s+(.*)$/);
+	if (heading && lines.length === 1) {
+		const Heading = `h${heading[1].length + 2}`;
+		return <Heading key={i}>{renderInline(heading[2])}</Heading>;
+	}
+
+	if (lines.every((line) => /^[-*]\s+/.test(line)))
+		return (
+			<ul key={i}>
+				{lines.map((line, j) => (
+					<li key={j}>{renderInline(line.replace(/^[-*]\s+/, ""))}</li>
+				))}
+			</ul>
+		);
+
+	if (lines.every((line) => line.startsWith(">!")))
+		return (
+			<Spoiler key={i} block>
+				{renderLines(lines.map((line) => line.replace(/^>!\s?/, "")))}
+			</Spoiler>
+		);
+
+	return <p key={i}>{renderLines(lines)}</p>;
+}
+
+export default function Markdown({ text = "", className = "" }) {
+	const blocks = text
+		.replace(/\r\n/g, "\n")
+		.split(/\n\s*\n/)
+		.map((block) => block.trim())
+		.filter(Boolean);
+
+	return <div className={`markdown ${className}`}>{blocks.map(renderBlock)}</div>;
+}
+
+// Hidden until clicked (or activated with the keyboard)
+function Spoiler({ children, block = false }) {
+	const [isRevealed, setIsRevealed] = useState(false);
+	const Element = block ? "div" : "span";
+
+	if (isRevealed) return <Element className="spoiler spoiler-revealed">{children}</Element>;
+
+	return (
+		<Element
+			className="spoiler"
+			role="button"
+			tabIndex={0}
+			title="Spoiler - click to reveal"
+			aria-label="Spoiler, click to reveal"
+			onClick={() => setIsRevealed(true)}
+			onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && setIsRevealed(true)}
+		>
+			{children}
+		</Element>
+	);
+}
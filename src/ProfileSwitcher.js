@@ -0,0 +1,246 @@
+import { useState } from "react";
+import { useProfiles } from "./useProfiles";
+
+// PINs are short numbers - 4 to 8 digits
+const PIN_PATTERN = "\\d{4,8}";
+
+// The profiles to switch to - a profile with a PIN asks for it first
+function ProfilePicker({ excludeId }) {
+	const { profiles, switchProfile } = useProfiles();
+	// the profile whose PIN is being asked
+	const [pinFor, setPinFor] = useState(null);
+	const [pin, setPin] = useState("");
+	const [isWrongPin, setIsWrongPin] = useState(false);
+
+	const handlePick = function (profile) {
+		if (profile.pinHash) {
+			setPinFor(profile);
+			setPin("");
+			setIsWrongPin(false);
+			return;
+		}
+		switchProfile(profile.id);
+	};
+
+	const handleSubmitPin = function (e) {
+		e.preventDefault();
+		if (!switchProfile(pinFor.id, pin)) {
+			setIsWrongPin(true);
+			setPin("");
+		}
+	};
+
+	if (pinFor)
+		return (
+			<form className="profile-form" onSubmit={handleSubmitPin}>
+				<label>
+					PIN for {pinFor.name}
+					<input
+						type="password"
+						inputMode="numeric"
+						autoComplete="off"
+						value={pin}
+						onChange={(e) => setPin(e.target.value)}
+						autoFocus
+						required
+					/>
+				</label>
+				{isWrongPin && <p className="profile-error">Wrong PIN</p>}
+				<div className="profile-actions">
+					<button className="btn-add">Open</button>
+					<button type="button" className="btn-cancel" onClick={() => setPinFor(null)}>
+						Cancel
+					</button>
+				</div>
+			</form>
+		);
+
+	return (
+		<ul className="profile-list">
+			{profiles
+				.filter((profile) => profile.id !== excludeId)
+				.map((profile) => (
+					<li key={profile.id}>
+						<button onClick={() => handlePick(profile)}>
+							👤 {profile.name} {profile.pinHash && <span title="Protected with a PIN">🔒</span>}
+						</button>
+					</li>
+				))}
+		</ul>
+	);
+}
+
+// Creates a profile (with an optional PIN) - it becomes the active one
+function NewProfileForm({ onCancel }) {
+	const { createProfile } = useProfiles();
+	const [name, setName] = useState("");
+	const [pin, setPin] = useState("");
+
+	const handleSubmit = function (e) {
+		e.preventDefault();
+		if (!name.trim()) return;
+		createProfile(name, pin);
+	};
+
+	return (
+		<form className="profile-form" onSubmit={handleSubmit}>
+			<label>
+				Name
+				<input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={30} autoFocus required />
+			</label>
+			<label>
+				PIN (optional)
+				<input
+					type="password"
+					inputMode="numeric"
+					autoComplete="new-password"
+					pattern={PIN_PATTERN}
+					title="4 to 8 digits"
+					value={pin}
+					onChange={(e) => setPin(e.target.value)}
+				/>
+			</label>
+			<div className="profile-actions">
+				<button className="btn-add">Create</button>
+				<button type="button" className="btn-cancel" onClick={onCancel}>
+					Cancel
+				</button>
+			</div>
+		</form>
+	);
+}
+
+// Rename, PIN and delete - always for the active profile
+function ManageProfileForm({ onDone }) {
+	const { activeProfile, canDeleteActive, updateActiveProfile, deleteActiveProfile } = useProfiles();
+	const [name, setName] = useState(activeProfile.name);
+	const [pin, setPin] = useState("");
+	const [isRemovingPin, setIsRemovingPin] = useState(false);
+	const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+	const handleSubmit = function (e) {
+		e.preventDefault();
+		if (!name.trim()) return;
+		// an empty PIN field keeps the current PIN, unless the user chose to remove it
+		updateActiveProfile({ name, pin: isRemovingPin ? "" : pin || undefined });
+		onDone();
+	};
+
+	if (isConfirmingDelete)
+		return (
+			<div className="profile-form">
+				<p>
+					Delete <strong>{activeProfile.name}</strong>, with all its movies, diary and notes? This can't be undone.
+				</p>
+				<div className="profile-actions">
+					<button className="btn-delete-profile" onClick={deleteActiveProfile}>
+						Delete
+					</button>
+					<button className="btn-cancel" onClick={() => setIsConfirmingDelete(false)}>
+						Cancel
+					</button>
+				</div>
+			</div>
+		);
+
+	return (
+		<form className="profile-form" onSubmit={handleSubmit}>
+			<label>
+				Name
+				<input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={30} required />
+			</label>
+			<label>
+				{activeProfile.pinHash ? "New PIN (empty: keep the current one)" : "PIN (optional)"}
+				<input
+					type="password"
+					inputMode="numeric"
+					autoComplete="new-password"
+					pattern={PIN_PATTERN}
+					title="4 to 8 digits"
+					value={pin}
+					onChange={(e) => setPin(e.target.value)}
+					disabled={isRemovingPin}
+				/>
+			</label>
+			{activeProfile.pinHash && (
+				<label className="profile-checkbox">
+					<input type="checkbox" checked={isRemovingPin} onChange={(e) => setIsRemovingPin(e.target.checked)} />
+					Remove the PIN
+				</label>
+			)}
+			<div className="profile-actions">
+				<button className="btn-add">Save</button>
+				<button type="button" className="btn-cancel" onClick={onDone}>
+					Cancel
+				</button>
+			</div>
+			{canDeleteActive && (
+				<button type="button" className="btn-delete-profile" onClick={() => setIsConfirmingDelete(true)}>
+					Delete this profile
+				</button>
+			)}
+		</form>
+	);
+}
+
+// The active profile in the NavBar, with a menu to switch, create and manage profiles
+export default function ProfileSwitcher() {
+	const { activeProfile, lock } = useProfiles();
+	const [isOpen, setIsOpen] = useState(false);
+	// what the menu shows: "list" / "new" / "manage"
+	const [view, setView] = useState("list");
+
+	const handleToggle = function () {
+		setIsOpen((isOpen) => !isOpen);
+		setView("list");
+	};
+
+	return (
+		<div className="profile-switcher">
+			<button className="btn-profile" onClick={handleToggle} aria-expanded={isOpen} aria-haspopup="true">
+				👤 {activeProfile.name}
+			</button>
+			{isOpen && (
+				<div className="profile-menu">
+					{view === "new" && <NewProfileForm onCancel={() => setView("list")} />}
+					{view === "manage" && <ManageProfileForm onDone={() => setView("list")} />}
+					{view === "list" && (
+						<>
+							<ProfilePicker excludeId={activeProfile.id} />
+							<div className="profile-menu-actions">
+								<button onClick={() => setView("new")}>+ New profile</button>
+								<button onClick={() => setView("manage")}>⚙️ Edit {activeProfile.name}</button>
+								<button onClick={lock}>🔒 Lock</button>
+							</div>
+						</>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+// Shown instead of the app while no profile is open
+export function ProfileLock() {
+	const [isCreating, setIsCreating] = useState(false);
+
+	return (
+		<div className="profile-lock">
+			<div className="logo">
+				<span role="img">🍿</span>
+				<h1>usePopcorn</h1>
+			</div>
+			<h2>Who's watching?</h2>
+			{isCreating ? (
+				<NewProfileForm onCancel={() => setIsCreating(false)} />
+			) : (
+				<>
+					<ProfilePicker />
+					<button className="btn-cancel" onClick={() => setIsCreating(true)}>
+						+ New profile
+					</button>
+				</>
+			)}
+		</div>
+	);
+}
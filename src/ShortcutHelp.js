@@ -0,0 +1,77 @@
+import { useEffect, useRef } from "react";
+import { useShortcut, useShortcutList } from "./useShortcut";
+
+// "Ctrl+Shift+Z" -> Ctrl + Shift + Z, "g w" -> g then w
+function Keys({ keys }) {
+	return keys.split(" ").map((combo, i) => (
+		<span key={i}>
+			{i > 0 && " then "}
+			{combo.split("+").map((key, j) => (
+				<span key={j}>
+					{j > 0 && " + "}
+					<kbd>{key}</kbd>
+				</span>
+			))}
+		</span>
+	));
+}
+
+// Lists every registered shortcut (with a description), grouped by scope
+// scopes: { [scope]: label } - the names shown for the scoped groups, in this order. Global shortcuts come first
+export default function ShortcutHelp({ scopes = {}, onClose }) {
+	const shortcuts = useShortcutList().filter((shortcut) => shortcut.description);
+	const dialogEl = useRef(null);
+
+	useShortcut("Escape", onClose, { scope: "help", description: "Close this list" });
+
+	// the focus goes inside, so Escape (scoped to the dialog) closes it before anything else
+	useEffect(function () {
+		dialogEl.current.focus();
+	}, []);
+
+	const groups = [
+		{ label: "Everywhere", shortcuts: shortcuts.filter((shortcut) => !shortcut.scope) },
+		...Object.entries(scopes).map(([scope, label]) => ({
+			label,
+			shortcuts: shortcuts.filter((shortcut) => shortcut.scope === scope),
+		})),
+	].filter((group) => group.shortcuts.length);
+
+	return (
+		<div className="shortcut-overlay" onClick={onClose}>
+			<div
+				className="shortcut-help"
+				role="dialog"
+				aria-modal="true"
+				aria-label="Keyboard shortcuts"
+				tabIndex={-1}
+				ref={dialogEl}
+				data-shortcut-scope="help"
+				// clicks inside don't close it
+				onClick={(e) => e.stopPropagation()}
+			>
+				<header>
+					<h2>Keyboard shortcuts</h2>
+					<button className="btn-toast-close" onClick={onClose} aria-label="Close">
+						&times;
+					</button>
+				</header>
+				{groups.map((group) => (
+					<section key={group.label}>
+						<h3>{group.label}</h3>
+						<dl>
+							{group.shortcuts.map((shortcut) => (
+								<div key={shortcut.id}>
+									<dt>
+										<Keys keys={shortcut.keys} />
+									</dt>
+									<dd>{shortcut.description}</dd>
+								</div>
+							))}
+						</dl>
+					</section>
+				))}
+			</div>
+		</div>
+	);
+}
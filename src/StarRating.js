@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useRef } from "react";
 import PropTypes from "prop-types";
 
 const containerStyle = {
@@ -11,9 +11,24 @@ const starContainerStyle = {
 	display: "flex",
 };
 
+// hides the text from the screen, but not from screen readers
+const visuallyHiddenStyle = {
+	position: "absolute",
+	width: "1px",
+	height: "1px",
+	overflow: "hidden",
+	clip: "rect(0 0 0 0)",
+	whiteSpace: "nowrap",
+};
+
 StarRating.propTypes = {
 	maxRating: PropTypes.number,
 	defaultRating: PropTypes.number,
+	value: PropTypes.number,
+	readOnly: PropTypes.bool,
+	allowHalf: PropTypes.bool,
+	renderIcon: PropTypes.func,
+	label: PropTypes.string,
 	size: PropTypes.number,
 	color: PropTypes.string,
 	className: PropTypes.string,
@@ -22,6 +37,11 @@ StarRating.propTypes = {
 	onSetRating: PropTypes.func,
 };
 
+// Works as a radio group: Tab focuses the selected star, arrow keys / Home / End change the rating
+// With allowHalf, ratings go in 0.5 steps (hover the left or right half of a star) and the stars work as a slider instead
+// Pass value (+ onSetRating) to control the rating from the parent, or defaultRating to let the component keep it
+// readOnly only displays the rating (no mouse or keyboard interaction)
+// renderIcon({ full, color, size }) replaces the star with any icon (hearts, popcorn...) - half ratings show the left half of the full icon over the empty one
 export default function StarRating({
 	maxRating = 5,
 	messages = [],
@@ -29,15 +49,48 @@ export default function StarRating({
 	size = 48,
 	className = "",
 	defaultRating = 0,
+	value,
+	readOnly = false,
+	allowHalf = false,
+	renderIcon = renderStar,
+	label = "Rating",
 	showRating = true,
 	onSetRating,
 }) {
-	const [rating, setRating] = useState(defaultRating);
+	const [internalRating, setInternalRating] = useState(defaultRating);
 	const [tempRating, setTempRating] = useState(0);
+	const [isFocusVisible, focusVisibleProps] = useFocusVisible();
+	const starEls = useRef([]);
+
+	const isControlled = value !== undefined;
+	const rating = isControlled ? value : internalRating;
+	const step = allowHalf ? 0.5 : 1;
+
+	// messages has one entry per star - a half rating uses the message of the star it's in (7.5 -> 8th message)
+	const getMessage = (rating) => (messages.length === maxRating && rating ? messages[Math.ceil(rating) - 1] : null);
 
 	function handleRating(rating) {
-		setRating(rating);
-		onSetRating(rating);
+		if (!isControlled) setInternalRating(rating);
+		onSetRating?.(rating);
+	}
+
+	// arrow keys move the selection (and, as a radio group, the focus) one step at a time
+	function handleKeyDown(e) {
+		const keys = {
+			ArrowRight: Math.min(rating + step, maxRating),
+			ArrowUp: Math.min(rating + step, maxRating),
+			ArrowLeft: Math.max(rating - step, step),
+			ArrowDown: Math.max(rating - step, step),
+			Home: step,
+			End: maxRating,
+		};
+		const newRating = keys[e.key];
+		if (newRating === undefined) return;
+
+		// the page must not scroll
+		e.preventDefault();
+		handleRating(newRating);
+		if (!allowHalf) starEls.current[newRating - 1]?.focus();
 	}
 
 	const textStyle = {
@@ -47,50 +100,185 @@ export default function StarRating({
 		fontSize: `${size / 1.5}px`,
 	};
 
+	// what screen readers announce whenever the rating changes
+	const describe = (rating) => [`${rating} out of ${maxRating}`, getMessage(rating)].filter(Boolean).join(", ");
+	const announcement = rating ? `Rated ${describe(rating)}` : "";
+
+	// radio group (whole stars) or slider (half stars) - both operated with the same keys
+	const groupProps = readOnly
+		? { role: "img", "aria-label": `${label}: ${rating} out of ${maxRating}` }
+		: allowHalf
+			? {
+					role: "slider",
+					"aria-label": label,
+					"aria-valuemin": 0,
+					"aria-valuemax": maxRating,
+					"aria-valuenow": rating,
+					"aria-valuetext": rating ? describe(rating) : "Not rated",
+					tabIndex: 0,
+					onKeyDown: handleKeyDown,
+					...focusVisibleProps,
+				}
+			: { role: "radiogroup", "aria-label": label, onKeyDown: handleKeyDown };
+
+	const displayedRating = tempRating || rating;
+
 	return (
 		<div style={containerStyle} className={className}>
-			<div style={starContainerStyle}>
+			<div style={{ ...starContainerStyle, ...(isFocusVisible && focusOutlineStyle(color)) }} {...groupProps}>
 				{Array.from({ length: maxRating }, (_, i) => (
 					<Star
 						key={i}
-						full={tempRating >= i + 1 || rating >= i + 1}
-						onStarClick={() => handleRating(i + 1)}
-						onHoverIn={() => setTempRating(i + 1)}
+						// 1: full, 0.5: half, 0: empty
+						fill={Math.min(Math.max(Math.max(tempRating, rating) - i, 0), 1)}
+						onSelect={(half) => handleRating(i + (half ? 0.5 : 1))}
+						onHover={(half) => setTempRating(i + (half ? 0.5 : 1))}
 						onHoverOut={() => setTempRating(0)}
+						allowHalf={allowHalf}
 						color={color}
 						size={size}
+						renderIcon={renderIcon}
+						readOnly={readOnly}
+						// as a slider, the stars are just the picture - the whole group is the control
+						isRadio={!allowHalf}
+						checked={rating === i + 1}
+						// only one star is reachable with Tab: the selected one (or the first, when there's no rating yet)
+						focusable={rating ? Math.ceil(rating) === i + 1 : i === 0}
+						label={[`${i + 1} ${i === 0 ? "star" : "stars"}`, getMessage(i + 1)].filter(Boolean).join(", ")}
+						starRef={(el) => (starEls.current[i] = el)}
 					/>
 				))}
 			</div>
-			<p style={textStyle}>{showRating ? tempRating || rating || "" : null}</p>
-			<p style={textStyle}>{messages.length === maxRating ? messages[(tempRating || rating) - 1] : null}</p>
+			<p style={textStyle} aria-hidden="true">
+				{showRating ? displayedRating || "" : null}
+			</p>
+			<p style={textStyle} aria-hidden="true">
+				{getMessage(displayedRating)}
+			</p>
+			{!readOnly && (
+				<span style={visuallyHiddenStyle} aria-live="polite">
+					{announcement}
+				</span>
+			)}
 		</div>
 	);
 }
 
-function Star({ onStarClick, onHoverIn, onHoverOut, color, size, full }) {
+const focusOutlineStyle = (color) => ({
+	outline: `2px solid ${color}`,
+	outlineOffset: "2px",
+	borderRadius: "4px",
+});
+
+// The outline is only shown when focused with the keyboard (:focus-visible), not on every click
+function useFocusVisible() {
+	const [isFocusVisible, setIsFocusVisible] = useState(false);
+
+	const onFocus = function (e) {
+		// older browsers don't know :focus-visible - show the outline on every focus then
+		try {
+			setIsFocusVisible(e.target.matches(":focus-visible"));
+		} catch {
+			setIsFocusVisible(true);
+		}
+	};
+
+	return [isFocusVisible, { onFocus, onBlur: () => setIsFocusVisible(false) }];
+}
+
+// The default icon
+function renderStar({ full, color }) {
+	return full ? (
+		<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill={color} stroke={color}>
+			<path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+		</svg>
+	) : (
+		<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke={color}>
+			<path
+				strokeLinecap="round"
+				strokeLinejoin="round"
+				strokeWidth="{2}"
+				d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
+			/>
+		</svg>
+	);
+}
+
+function Star({
+	onSelect,
+	onHover,
+	onHoverOut,
+	allowHalf,
+	color,
+	size,
+	fill,
+	renderIcon,
+	readOnly,
+	isRadio,
+	checked,
+	focusable,
+	label,
+	starRef,
+}) {
+	const [isFocusVisible, focusVisibleProps] = useFocusVisible();
+
 	const starStyle = {
+		position: "relative",
 		width: `${size}px`,
 		height: `${size}px`,
 		display: "block",
-		cursor: "pointer",
+		cursor: readOnly ? "default" : "pointer",
+		...(isFocusVisible && focusOutlineStyle(color)),
+	};
+
+	// the full icon, cut in half, drawn over the empty one
+	const halfStyle = {
+		position: "absolute",
+		top: 0,
+		left: 0,
+		width: "50%",
+		height: "100%",
+		overflow: "hidden",
 	};
 
+	const iconStyle = { display: "block", width: `${size}px`, height: `${size}px` };
+
+	// true when the pointer is over the left half of the star
+	const isLeftHalf = (e) => allowHalf && e.clientX - e.currentTarget.getBoundingClientRect().left < size / 2;
+
+	const handleKeyDown = function (e) {
+		if (e.key !== "Enter" && e.key !== " ") return;
+		e.preventDefault();
+		onSelect(false);
+	};
+
+	const mouseProps = readOnly
+		? {}
+		: {
+				onClick: (e) => onSelect(isLeftHalf(e)),
+				onMouseMove: (e) => onHover(isLeftHalf(e)),
+				onMouseLeave: onHoverOut,
+			};
+
+	const radioProps = isRadio
+		? {
+				role: "radio",
+				"aria-checked": checked,
+				"aria-label": label,
+				tabIndex: focusable ? 0 : -1,
+				ref: starRef,
+				onKeyDown: handleKeyDown,
+				...focusVisibleProps,
+			}
+		: { "aria-hidden": true };
+
 	return (
-		<span role="button" style={starStyle} onClick={onStarClick} onMouseEnter={onHoverIn} onMouseLeave={onHoverOut}>
-			{full ? (
-				<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill={color} stroke={color}>
-					<path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-				</svg>
-			) : (
-				<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke={color}>
-					<path
-						strokeLinecap="round"
-						strokeLinejoin="round"
-						strokeWidth="{2}"
-						d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
-					/>
-				</svg>
+		<span style={starStyle} {...mouseProps} {...(readOnly ? { "aria-hidden": true } : radioProps)}>
+			<span style={iconStyle}>{renderIcon({ full: fill === 1, color, size })}</span>
+			{fill === 0.5 && (
+				<span style={halfStyle}>
+					<span style={iconStyle}>{renderIcon({ full: true, color, size })}</span>
+				</span>
 			)}
 		</span>
 	);
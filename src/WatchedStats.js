@@ -0,0 +1,158 @@
+// Statistics of the watched list
+// Genre, director, actors and release date are only saved for movies added after they started being saved - older movies are left out of those breakdowns
+
+// How many rows each breakdown shows
+const TOP_COUNT = 8;
+
+// Function to calculate the average of elements in an array (WatchedSummary uses it too)
+export const average = (arr) => arr.reduce((acc, cur, i, arr) => acc + cur / arr.length, 0);
+
+// OMDB lists several genres / directors / actors in one string: "Action, Sci-Fi"
+const splitList = (text) =>
+	(text ?? "")
+		.split(",")
+		.map((item) => item.trim())
+		.filter((item) => item && item !== "N/A");
+
+// Groups the movies by the values getKeys returns for each one (a movie can be in several groups, e.g. genres)
+// Returns [{ key, count, avgRating }], biggest groups first
+const breakdown = function (watched, getKeys) {
+	const groups = new Map();
+	watched.forEach((movie) =>
+		getKeys(movie).forEach((key) => groups.set(key, [...(groups.get(key) ?? []), movie.userRating])),
+	);
+
+	return [...groups]
+		.map(([key, ratings]) => ({ key, count: ratings.length, avgRating: average(ratings) }))
+		.sort((a, b) => b.count - a.count || b.avgRating - a.avgRating);
+};
+
+const getDecade = function (movie) {
+	const year = parseInt(movie.year);
+	return Number.isNaN(year) ? [] : [`${Math.floor(year / 10) * 10}s`];
+};
+
+export default function WatchedStats({ watched }) {
+	if (!watched.length) return <p className="diary-empty">Rate some movies to see your statistics</p>;
+
+	// every viewing counts, rewatches included (movies without a diary count once)
+	const totalMinutes = watched.reduce(
+		(acc, movie) => acc + (movie.runtime || 0) * Math.max(movie.viewings?.length ?? 0, 1),
+		0,
+	);
+	const withDetails = watched.filter((movie) => movie.genre !== undefined);
+
+	return (
+		<div className="stats">
+			<div className="summary">
+				<h2>Your statistics</h2>
+				<div>
+					<p>
+						<span>#️⃣</span>
+						<span>{watched.length} movies</span>
+					</p>
+					<p>
+						<span>⏳</span>
+						<span>{(totalMinutes / 60).toFixed(1)} hours watched</span>
+					</p>
+				</div>
+			</div>
+
+			<RatingHistogram watched={watched} />
+			<RatingDeviation watched={watched} />
+			<Breakdown title="By decade" rows={breakdown(watched, getDecade)} />
+
+			{withDetails.length < watched.length && (
+				<p className="stats-note">
+					{watched.length - withDetails.length} movies were added before genre, director and actors were saved - they
+					are left out below.
+				</p>
+			)}
+			<Breakdown title="By genre" rows={breakdown(withDetails, (movie) => splitList(movie.genre))} />
+			<Breakdown title="By director" rows={breakdown(withDetails, (movie) => splitList(movie.director))} />
+			<Breakdown title="By actor" rows={breakdown(withDetails, (movie) => splitList(movie.actors))} />
+		</div>
+	);
+}
+
+// How many movies got each rating, from 1 to 10 - half stars go with the star below (7.5 counts as a 7)
+function RatingHistogram({ watched }) {
+	const counts = Array.from(
+		{ length: 10 },
+		(_, i) => watched.filter((movie) => Math.max(Math.floor(movie.userRating), 1) === i + 1).length,
+	);
+	const maxCount = Math.max(...counts);
+
+	return (
+		<section className="stats-section">
+			<h3>Your ratings</h3>
+			<div className="histogram">
+				{counts.map((count, i) => (
+					<div className="histogram-column" key={i} title={`${count} movies rated ${i + 1}`}>
+						<span className="histogram-count">{count || ""}</span>
+						<div className="histogram-bar" style={{ height: `${maxCount ? (count / maxCount) * 100 : 0}%` }} />
+						<span>{i + 1}</span>
+					</div>
+				))}
+			</div>
+		</section>
+	);
+}
+
+// Where the user disagrees the most with IMDb (positive: the user liked it more)
+function RatingDeviation({ watched }) {
+	const deviations = watched
+		.filter((movie) => !Number.isNaN(movie.imdbRating) && movie.imdbRating !== null)
+		.map((movie) => ({ ...movie, deviation: movie.userRating - movie.imdbRating }))
+		.sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+
+	if (!deviations.length) return null;
+
+	return (
+		<section className="stats-section">
+			<h3>You vs IMDb (average {average(deviations.map((movie) => movie.deviation)).toFixed(1)})</h3>
+			<ul className="deviation-list">
+				{deviations.slice(0, TOP_COUNT).map((movie) => (
+					<li key={movie.imdbID}>
+						<span className="stats-label">{movie.title}</span>
+						<div className="deviation-track">
+							<div
+								className={`deviation-bar ${movie.deviation < 0 ? "deviation-negative" : ""}`}
+								// the track goes from -10 to +10, centered on 0
+								style={{ width: `${(Math.abs(movie.deviation) / 10) * 50}%` }}
+							/>
+						</div>
+						<span className="stats-value">
+							{movie.deviation > 0 ? "+" : ""}
+							{movie.deviation.toFixed(1)}
+						</span>
+					</li>
+				))}
+			</ul>
+		</section>
+	);
+}
+
+function Breakdown({ title, rows }) {
+	if (!rows.length) return null;
+	const maxCount = rows[0].count;
+
+	return (
+		<section className="stats-section">
+			<h3>{title}</h3>
+			<ul className="breakdown-list">
+				{rows.slice(0, TOP_COUNT).map(({ key, count, avgRating }) => (
+					<li key={key}>
+						<span className="stats-label">{key}</span>
+						<div className="breakdown-track">
+							<div className="breakdown-bar" style={{ width: `${(count / maxCount) * 100}%` }} />
+						</div>
+						<span className="stats-value">
+							{count} · 🌟 {avgRating.toFixed(1)}
+						</span>
+					</li>
+				))}
+			</ul>
+		</section>
+	);
+}
@@ -2,10 +2,25 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import { ProfilesProvider } from "./useProfiles";
+import { StorageProvider } from "./useLocalStorageState";
+import { createStorageAdapter } from "./storageAdapters";
+import { ProfileLock } from "./ProfileSwitcher";
+import * as serviceWorkerRegistration from "./serviceWorkerRegistration";
+
+// localStorage, IndexedDB or a sync server - picked with REACT_APP_STORAGE (see storageAdapters)
+const storage = createStorageAdapter();
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
 	<React.StrictMode>
-		<App />
+		<StorageProvider adapter={storage}>
+			<ProfilesProvider lockScreen={<ProfileLock />}>
+				<App />
+			</ProfilesProvider>
+		</StorageProvider>
 	</React.StrictMode>,
 );
+
+// works offline: the app, the movies already seen and their posters are kept by a service worker
+serviceWorkerRegistration.register();
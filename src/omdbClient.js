@@ -0,0 +1,271 @@
+import { cachedRequest, cachedResponses } from "./requestCache";
+
+// OMDB client - the only place in the app that talks to OMDB
+// The key and the endpoint come from the environment (.env / .env.local), so the app can be pointed to a proxy or a local server:
+//   REACT_APP_OMDB_API_KEY   - leave it empty if the proxy adds the key itself
+//   REACT_APP_OMDB_BASE_URL
+const OMDB_KEY = process.env.REACT_APP_OMDB_API_KEY ?? "af2eaa9a";
+const OMDB_BASE_URL = process.env.REACT_APP_OMDB_BASE_URL || "https://www.omdbapi.com/";
+
+// Title details hardly ever change - they are cached (and persisted) for a day
+const DETAILS_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} OmdbSearchResult
+ * @property {string} imdbID
+ * @property {string} Title
+ * @property {string} Year - "1999", or "2005–2010" / "2005–" for series
+ * @property {"movie" | "series" | "episode" | "game"} Type
+ * @property {string} Poster - URL, or "N/A"
+ */
+
+/**
+ * @typedef {Object} OmdbSearchPage
+ * @property {OmdbSearchResult[]} Search
+ * @property {string} totalResults - OMDB sends the number as a string
+ */
+
+/**
+ * @typedef {Object} OmdbTitle
+ * @property {string} imdbID
+ * @property {string} Title
+ * @property {string} Year
+ * @property {string} Released
+ * @property {string} Runtime - e.g. "136 min"
+ * @property {string} Genre
+ * @property {string} Director
+ * @property {string} Actors
+ * @property {string} Plot
+ * @property {string} Poster
+ * @property {string} imdbRating
+ * @property {string} Type
+ */
+
+// Transient failures (see isTransient below) are retried this many times, waiting longer each time: ~0.5s, 1s, 2s
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+
+// Base class for every error thrown by the client - lets callers tell OMDB errors apart from bugs in our own code
+// type tells the kind of failure apart (for the UI), isTransient says whether trying again later may work
+export class OmdbError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "OmdbError";
+		this.type = "unknown";
+		this.isTransient = false;
+	}
+}
+
+// The request never got an answer (offline, DNS, CORS...)
+export class OmdbNetworkError extends OmdbError {
+	constructor(message = "Could not reach the movie database") {
+		super(message);
+		this.name = "OmdbNetworkError";
+		this.type = "network";
+		this.isTransient = true;
+	}
+}
+
+// OMDB (or the proxy) answered with a non 2xx status - only server errors (5xx) and timeouts are worth retrying
+export class OmdbHttpError extends OmdbError {
+	constructor(status, message = "Something went wrong while fetching movies") {
+		super(message);
+		this.name = "OmdbHttpError";
+		this.type = "http";
+		this.status = status;
+		this.isTransient = status >= 500 || status === 408;
+	}
+}
+
+// OMDB answered, but with Response: "False" and a reason we don't know more about
+export class OmdbApiError extends OmdbError {
+	constructor(message) {
+		super(message);
+		this.name = "OmdbApiError";
+		this.type = "api";
+	}
+}
+
+// Nothing matched the search / id / title
+export class OmdbNotFoundError extends OmdbApiError {
+	constructor(message = "Movie not found") {
+		super(message);
+		this.name = "OmdbNotFoundError";
+		this.type = "notFound";
+	}
+}
+
+// The search matches too many titles for OMDB to list them ("Too many results.") - it needs more letters
+export class OmdbTooManyResultsError extends OmdbApiError {
+	constructor(message = "Too many results") {
+		super(message);
+		this.name = "OmdbTooManyResultsError";
+		this.type = "tooManyResults";
+	}
+}
+
+// The API key is missing or wrong ("No API key provided.", "Invalid API key!")
+export class OmdbAuthError extends OmdbApiError {
+	constructor(message = "Invalid API key") {
+		super(message);
+		this.name = "OmdbAuthError";
+		this.type = "auth";
+	}
+}
+
+// Too many requests: OMDB's daily limit ("Request limit reached!") or a proxy's 429
+// Only the 429 is transient - the daily limit won't go away by retrying in a few seconds
+export class OmdbRateLimitError extends OmdbApiError {
+	constructor(message = "Request limit reached", { isTransient = false } = {}) {
+		super(message);
+		this.name = "OmdbRateLimitError";
+		this.type = "rateLimit";
+		this.isTransient = isTransient;
+	}
+}
+
+// Turns the reason OMDB gives (data.Error) into the matching error
+const toApiError = function (message = "") {
+	if (/not found|incorrect imdb id/i.test(message)) return new OmdbNotFoundError();
+	if (/too many results/i.test(message)) return new OmdbTooManyResultsError();
+	if (/api key/i.test(message)) return new OmdbAuthError(message);
+	if (/limit reached/i.test(message)) return new OmdbRateLimitError(message);
+	return new OmdbApiError(message);
+};
+
+// Calls OMDB with the given params (empty ones are dropped) and returns the parsed response
+// Aborting the signal rejects with the usual AbortError, which is NOT wrapped in an OmdbError
+async function request(params, signal) {
+	const url = new URL(OMDB_BASE_URL, window.location.href);
+	if (OMDB_KEY) url.searchParams.set("apikey", OMDB_KEY);
+	Object.entries(params).forEach(([name, value]) => value && url.searchParams.set(name, value));
+
+	let res;
+	try {
+		res = await fetch(url, { signal });
+	} catch (err) {
+		if (err.name === "AbortError") throw err;
+		throw new OmdbNetworkError();
+	}
+
+	// OMDB explains most refusals in the body, even with an error status (e.g. 401 for a bad key or the daily limit)
+	const data = await res.json().catch(() => null);
+
+	if (!res.ok) {
+		if (data?.Error) throw toApiError(data.Error);
+		if (res.status === 401) throw new OmdbAuthError();
+		if (res.status === 429) throw new OmdbRateLimitError(undefined, { isTransient: true });
+		throw new OmdbHttpError(res.status);
+	}
+
+	// a 200 that isn't JSON - probably a misconfigured proxy
+	if (!data) throw new OmdbHttpError(res.status, "The movie database sent an answer we couldn't read");
+
+	// data.Response is "False" when OMDB couldn't answer - the reason comes in data.Error
+	if (data.Response === "False") throw toApiError(data.Error);
+
+	return data;
+}
+
+// waits ms, unless the signal aborts first (then rejects with the usual AbortError)
+const wait = (ms, signal) =>
+	new Promise(function (resolve, reject) {
+		const abort = function () {
+			clearTimeout(timer);
+			reject(new DOMException("The operation was aborted.", "AbortError"));
+		};
+		const timer = setTimeout(function () {
+			signal?.removeEventListener("abort", abort);
+			resolve();
+		}, ms);
+
+		if (signal?.aborted) return abort();
+		signal?.addEventListener("abort", abort, { once: true });
+	});
+
+// request, retrying transient failures with exponential backoff (and a bit of randomness, so many tabs don't retry all at once)
+async function requestWithRetry(params, signal) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await request(params, signal);
+		} catch (err) {
+			// offline there's no point waiting - the caller's fallback (or the error) is better right away
+			if (!err.isTransient || attempt >= MAX_RETRIES || !navigator.onLine) throw err;
+			await wait(RETRY_BASE_DELAY * 2 ** attempt * (1 + Math.random() / 4), signal);
+		}
+	}
+}
+
+/**
+ * Searches titles by name (s=). Searches we already ran come straight from the cache
+ * @param {{ query: string, page?: number, type?: string, year?: string }} search - type: movie / series / episode, year: a single release year
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<OmdbSearchPage>}
+ */
+export function searchTitles({ query, page = 1, type, year }, { signal } = {}) {
+	const params = { s: query, page, type, y: year };
+	return cachedRequest(params, (signal) => requestWithRetry(params, signal), { signal });
+}
+
+/**
+ * Gets the full details of a title by its IMDb id (i=)
+ * @param {string} id
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<OmdbTitle>}
+ */
+export function getTitleById(id, { signal } = {}) {
+	const params = { i: id };
+	return cachedRequest(params, (signal) => requestWithRetry(params, signal), {
+		signal,
+		ttl: DETAILS_CACHE_TTL,
+		persist: true,
+	});
+}
+
+/**
+ * Gets the full details of the title that best matches a name (t=), optionally narrowed down by year and type
+ * @param {string} title
+ * @param {{ year?: string, type?: string, signal?: AbortSignal }} [options]
+ * @returns {Promise<OmdbTitle>}
+ */
+export function getTitleByName(title, { year, type, signal } = {}) {
+	const params = { t: title, y: year, type };
+	return cachedRequest(params, (signal) => requestWithRetry(params, signal), {
+		signal,
+		ttl: DETAILS_CACHE_TTL,
+		persist: true,
+	});
+}
+
+// Every title in the cached responses: the results of the searches and the details, once per imdbID
+const cachedTitles = function () {
+	const titles = cachedResponses()
+		.flatMap((data) => data.Search ?? [data])
+		.filter((title) => title.imdbID && title.Title);
+	return titles.filter((title, i) => titles.findIndex((other) => other.imdbID === title.imdbID) === i);
+};
+
+/**
+ * Names of the titles found in the cached responses (searches and details), without duplicates - no request is made
+ * @returns {string[]}
+ */
+export function getCachedTitles() {
+	return [...new Set(cachedTitles().map((title) => title.Title))];
+}
+
+/**
+ * Searches the titles already in the cache instead of OMDB - for when OMDB can't be reached
+ * Titles match when their name contains the query (OMDB's own search is smarter), all of them come in a single page
+ * @param {{ query: string, type?: string, year?: string }} search - same as searchTitles
+ * @returns {OmdbSearchPage}
+ */
+export function searchCachedTitles({ query, type, year }) {
+	const text = query.trim().toLowerCase();
+	const titles = cachedTitles().filter(
+		(title) =>
+			title.Title.toLowerCase().includes(text) &&
+			(!type || title.Type === type) &&
+			(!year || String(title.Year).startsWith(year)),
+	);
+	return { Search: titles, totalResults: String(titles.length) };
+}
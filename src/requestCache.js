@@ -0,0 +1,137 @@
+// Cache shared by every OMDB lookup (searches and movie details)
+// - responses are kept for a while (TTL), keyed by the request parameters
+// - identical requests running at the same time share a single fetch
+// - entries can optionally be persisted in localStorage, so they survive a page reload
+
+// How long a response stays valid when the caller doesn't say otherwise (1 hour)
+const DEFAULT_TTL = 60 * 60 * 1000;
+
+// localStorage key where persisted entries are kept
+const STORAGE_KEY = "requestCache";
+
+// localStorage is small (~5MB) - only the most recent persisted entries are kept
+const MAX_PERSISTED_ENTRIES = 200;
+
+// key -> { data, expiresAt, persist }
+const entries = new Map(readPersistedEntries());
+
+// key -> { promise, controller, subscribers }
+const pending = new Map();
+
+// Builds the cache key from the request parameters. Parameters are sorted (so their order doesn't matter) and empty ones are dropped
+export const cacheKey = (params) =>
+	Object.entries(params)
+		.filter(([, value]) => value !== undefined && value !== null && value !== "")
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([name, value]) => `${name}=${value}`)
+		.join("&");
+
+function readPersistedEntries() {
+	// a corrupt (or unavailable) localStorage must never break the app - at worst we start with an empty cache
+	try {
+		const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+		return Object.entries(stored)
+			.filter(([, entry]) => entry.expiresAt > Date.now())
+			.map(([key, entry]) => [key, { ...entry, persist: true }]);
+	} catch (err) {
+		console.error("Error reading request cache: ", err.message);
+		return [];
+	}
+}
+
+function writePersistedEntries() {
+	const persisted = [...entries]
+		.filter(([, entry]) => entry.persist && entry.expiresAt > Date.now())
+		// the ones expiring later are the most recent ones
+		.sort(([, a], [, b]) => b.expiresAt - a.expiresAt)
+		.slice(0, MAX_PERSISTED_ENTRIES)
+		.map(([key, { data, expiresAt }]) => [key, { data, expiresAt }]);
+
+	// the cache is just an optimization - if the quota is exceeded we simply don't persist
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(persisted)));
+	} catch (err) {
+		console.error("Error writing request cache: ", err.message);
+	}
+}
+
+// Returns the cached data, or undefined if there is nothing (valid) in the cache
+function readEntry(key) {
+	const entry = entries.get(key);
+	if (!entry) return undefined;
+
+	if (entry.expiresAt <= Date.now()) {
+		entries.delete(key);
+		return undefined;
+	}
+
+	return entry.data;
+}
+
+function writeEntry(key, data, ttl, persist) {
+	entries.set(key, { data, expiresAt: Date.now() + ttl, persist });
+	if (persist) writePersistedEntries();
+}
+
+// Makes each caller wait for the shared request, while still being able to cancel with its own signal
+// The shared fetch is only aborted when every caller waiting on it has given up
+function subscribe(key, request, signal) {
+	request.subscribers++;
+
+	return new Promise(function (resolve, reject) {
+		const handleAbort = function () {
+			request.subscribers--;
+
+			if (request.subscribers === 0) {
+				// forget it right away, so a new caller doesn't join a request that is being aborted
+				if (pending.get(key) === request) pending.delete(key);
+				request.controller.abort();
+			}
+
+			reject(new DOMException("The operation was aborted.", "AbortError"));
+		};
+
+		if (signal?.aborted) return handleAbort();
+		signal?.addEventListener("abort", handleAbort, { once: true });
+
+		request.promise.then(resolve, reject).finally(() => signal?.removeEventListener("abort", handleAbort));
+	});
+}
+
+// Returns the response for these params from the cache, or calls fetcher(signal) to get it
+// fetcher should throw on failure - errors are never cached
+// options: signal (AbortSignal of this caller), ttl (in ms), persist (keep it in localStorage)
+export async function cachedRequest(params, fetcher, { signal, ttl = DEFAULT_TTL, persist = false } = {}) {
+	const key = cacheKey(params);
+
+	const cached = readEntry(key);
+	if (cached !== undefined) return cached;
+
+	let request = pending.get(key);
+
+	if (!request) {
+		const controller = new AbortController();
+
+		request = {
+			controller,
+			subscribers: 0,
+			promise: fetcher(controller.signal)
+				.then(function (data) {
+					writeEntry(key, data, ttl, persist);
+					return data;
+				})
+				.finally(function () {
+					if (pending.get(key) === request) pending.delete(key);
+				}),
+		};
+
+		pending.set(key, request);
+	}
+
+	return subscribe(key, request, signal);
+}
+
+// Every valid cached response (e.g. to suggest titles we've already seen)
+export function cachedResponses() {
+	return [...entries.keys()].map(readEntry).filter((data) => data !== undefined);
+}
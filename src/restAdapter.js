@@ -0,0 +1,287 @@
+// Storage adapter (see storageAdapters) that keeps the data in a local adapter and syncs it with a server over HTTP
+// The app only works with the local copy, so it opens and works offline - changes are queued and sent when online
+// The server API (server/syncServer.js is a reference implementation):
+// - GET {url}/items -> { [key]: { value, version, updatedAt } } - value is the raw string, null for removed keys
+// - PUT {url}/items/{key} { value, baseVersion, updatedAt } -> { version, updatedAt }
+//   or 409 { current: { value, version, updatedAt } } when the key was changed on the server since baseVersion
+// A conflict (a key changed here AND on the server since the last sync) is solved with conflicts:
+// - "merge" - field by field (see mergeJSON): the changes of both sides are kept, this side wins when both changed the same field
+// - "lastWriteWins" - the whole value changed last wins
+
+// How often (ms) the server is asked for changes, while the page is visible
+const POLL_INTERVAL = 30 * 1000;
+// changes are sent together, a moment (ms) after the last one
+const PUSH_DELAY = 1000;
+// a key changed again on the server while sending it - how many times it's solved and sent again before giving up
+const MAX_CONFLICT_ROUNDS = 3;
+
+// Sync bookkeeping - in localStorage, shared by the open tabs and kept across reloads
+// { [key]: changedAt } - the keys changed here and not sent yet
+const QUEUE_KEY = "sync.queue";
+// { [key]: { version, raw } } - the last value both sides agreed on, the base of the merges
+const BASE_KEY = "sync.base";
+
+// what a key the server doesn't have looks like (e.g. its data was reset)
+const NO_ITEM = { value: null, version: 0, updatedAt: 0 };
+
+const readMeta = function (metaKey) {
+	try {
+		return JSON.parse(localStorage.getItem(metaKey)) ?? {};
+	} catch {
+		return {};
+	}
+};
+
+const updateMeta = (metaKey, update) => localStorage.setItem(metaKey, JSON.stringify(update(readMeta(metaKey))));
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// arrays of movies (or anything with an id) are merged item by item
+const itemId = (item) => item.imdbID ?? item.id;
+const isKeyedList = (value) =>
+	Array.isArray(value) && value.every((item) => isPlainObject(item) && itemId(item) !== undefined);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of JSON values: what changed locally (compared to base) wins, everything else comes from remote
+// - objects are merged key by key
+// - lists of objects with an imdbID (or id) are merged item by item: additions and removals of both sides are kept
+// - anything else is taken whole - from local when both sides changed it
+// undefined means "not there" (e.g. a movie removed from the list)
+export function mergeJSON(base, local, remote) {
+	if (isEqual(local, base)) return remote;
+	if (isEqual(remote, base)) return local;
+
+	if (isPlainObject(local) && isPlainObject(remote)) {
+		const baseObject = isPlainObject(base) ? base : {};
+		return Object.fromEntries(
+			[...new Set([...Object.keys(local), ...Object.keys(remote)])]
+				.map((key) => [key, mergeJSON(baseObject[key], local[key], remote[key])])
+				.filter(([, value]) => value !== undefined),
+		);
+	}
+
+	if (isKeyedList(local) && isKeyedList(remote)) {
+		const byId = (list) => new Map(list.map((item) => [itemId(item), item]));
+		const [baseItems, localItems, remoteItems] = [byId(isKeyedList(base) ? base : []), byId(local), byId(remote)];
+
+		// in the local order, then the items only the remote side has
+		return [...new Set([...localItems.keys(), ...remoteItems.keys()])]
+			.map((id) => mergeJSON(baseItems.get(id), localItems.get(id), remoteItems.get(id)))
+			.filter((item) => item !== undefined);
+	}
+
+	return local;
+}
+
+// url - where the server is, local - the adapter holding the local copy
+// shouldSync(key) - false for keys that stay on this device only
+export function createRestAdapter({ url, local, conflicts = "merge", shouldSync = () => true }) {
+	const subscribers = new Set();
+	const statusSubscribers = new Set();
+	// state: "syncing" / "synced" / "offline" / "error", pending: how many keys wait to be sent
+	let status = { state: "syncing", pending: 0, lastSyncedAt: null, error: null };
+	let pushTimer = null;
+	// one sync at a time - asking for one during a sync starts another one right after it
+	let currentSync = null;
+	let nextSync = null;
+	let ready = null;
+
+	const setStatus = function (changes) {
+		status = { ...status, pending: Object.keys(readMeta(QUEUE_KEY)).length, ...changes };
+		statusSubscribers.forEach((callback) => callback());
+	};
+
+	const request = async function (path, options = {}) {
+		const res = await fetch(`${url}${path}`, { ...options, headers: { "Content-Type": "application/json" } });
+		const data = await res.json().catch(() => null);
+		if (!res.ok && res.status !== 409) throw new Error(data?.error ?? `The sync server answered ${res.status}`);
+		return { isConflict: res.status === 409, data };
+	};
+
+	// a value that came from the server: saved locally, and shown in this tab (other tabs get it through local)
+	const applyRemote = function (key, raw) {
+		if (raw === local.getItem(key)) return;
+
+		if (raw === null) local.removeItem(key);
+		else local.setItem(key, raw);
+		subscribers.forEach((callback) => callback(key, raw));
+	};
+
+	// the change made at changedAt is on the server now - unless key was changed again meanwhile (it's sent in the next sync then)
+	const dequeue = function (key, changedAt) {
+		updateMeta(QUEUE_KEY, function ({ [key]: queuedChange, ...queue }) {
+			return queuedChange === changedAt ? queue : { ...queue, [key]: queuedChange };
+		});
+	};
+
+	// the value to keep when key was changed on both sides - localRaw / remote.value are null for a removed key
+	const solveConflict = function (key, localRaw, changedAt, remote) {
+		// never synced (or the server lost it): there's no common base, and no telling which side was written last
+		// both are merged, so nothing is lost whatever conflicts says
+		const base = remote.version ? readMeta(BASE_KEY)[key] : undefined;
+		if (conflicts === "lastWriteWins" && base) return changedAt >= remote.updatedAt ? localRaw : remote.value;
+
+		try {
+			const parse = (raw) => (raw === null || raw === undefined ? undefined : JSON.parse(raw));
+			const merged = mergeJSON(parse(base?.raw), parse(localRaw), parse(remote.value));
+			return merged === undefined ? null : JSON.stringify(merged);
+		} catch {
+			// not JSON - can't be merged
+			return localRaw;
+		}
+	};
+
+	// a conflict was solved: remote is the new base, and the solved value is sent unless it's remote's already
+	const settleConflict = function (key, changedAt, remote) {
+		const raw = solveConflict(key, local.getItem(key), changedAt, remote);
+		updateMeta(BASE_KEY, (bases) => ({ ...bases, [key]: { version: remote.version, raw: remote.value } }));
+		applyRemote(key, raw);
+
+		if (raw === remote.value) dequeue(key, changedAt);
+		// the solved value still has to be sent (a key already queued keeps its own changedAt)
+		else updateMeta(QUEUE_KEY, (queue) => ({ [key]: changedAt, ...queue }));
+	};
+
+	// data saved before syncing was turned on has never been sent - it's queued, and merged with the server's on the first sync
+	// (changedAt 0: it's older than anything the server has)
+	const queueUnsyncedKeys = function () {
+		const bases = readMeta(BASE_KEY);
+		const keys = local.keys().filter((key) => shouldSync(key) && !(key in bases) && local.getItem(key) !== null);
+		if (keys.length)
+			updateMeta(QUEUE_KEY, (queue) => ({ ...Object.fromEntries(keys.map((key) => [key, 0])), ...queue }));
+	};
+
+	// first what changed on the server, then what changed here
+	const runSync = async function () {
+		const { data: remoteItems } = await request("/items");
+
+		for (const [key, remote] of Object.entries(remoteItems)) {
+			if (!shouldSync(key) || remote.version === readMeta(BASE_KEY)[key]?.version) continue;
+
+			// changed here too, or here before syncing was turned on (no base yet) - the server's copy can't just replace it
+			const changedAt = readMeta(QUEUE_KEY)[key];
+			const isUnsynced = !(key in readMeta(BASE_KEY)) && local.getItem(key) !== null;
+			if (changedAt !== undefined || isUnsynced) {
+				settleConflict(key, changedAt ?? 0, remote);
+				continue;
+			}
+
+			updateMeta(BASE_KEY, (bases) => ({ ...bases, [key]: { version: remote.version, raw: remote.value } }));
+			applyRemote(key, remote.value);
+		}
+
+		for (const key of Object.keys(readMeta(QUEUE_KEY))) {
+			for (let round = 0; ; round++) {
+				const changedAt = readMeta(QUEUE_KEY)[key];
+				// already sent by another tab
+				if (changedAt === undefined) break;
+
+				const raw = local.getItem(key);
+				const { isConflict, data } = await request(`/items/${encodeURIComponent(key)}`, {
+					method: "PUT",
+					body: JSON.stringify({
+						value: raw,
+						baseVersion: readMeta(BASE_KEY)[key]?.version ?? 0,
+						updatedAt: changedAt,
+					}),
+				});
+
+				if (!isConflict) {
+					updateMeta(BASE_KEY, (bases) => ({ ...bases, [key]: { version: data.version, raw } }));
+					dequeue(key, changedAt);
+					break;
+				}
+
+				if (round === MAX_CONFLICT_ROUNDS) throw new Error(`"${key}" keeps changing on the server`);
+				// no current: the server doesn't have the key anymore
+				settleConflict(key, changedAt, data.current ?? NO_ITEM);
+			}
+		}
+	};
+
+	const sync = function () {
+		if (currentSync) {
+			nextSync =
+				nextSync ??
+				currentSync.then(function () {
+					nextSync = null;
+					return sync();
+				});
+			return nextSync;
+		}
+
+		if (!navigator.onLine) {
+			setStatus({ state: "offline" });
+			return Promise.resolve();
+		}
+
+		setStatus({ state: "syncing" });
+		currentSync = runSync()
+			.then(
+				() => setStatus({ state: "synced", lastSyncedAt: Date.now(), error: null }),
+				(err) => setStatus({ state: navigator.onLine ? "error" : "offline", error: err.message }),
+			)
+			.finally(() => (currentSync = null));
+		return currentSync;
+	};
+
+	const queueChange = function (key) {
+		if (!shouldSync(key)) return;
+
+		updateMeta(QUEUE_KEY, (queue) => ({ ...queue, [key]: Date.now() }));
+		setStatus({});
+		clearTimeout(pushTimer);
+		pushTimer = setTimeout(sync, PUSH_DELAY);
+	};
+
+	const start = async function () {
+		await local.init();
+		queueUnsyncedKeys();
+
+		// the app doesn't wait for the server - it starts with the local copy
+		sync();
+		setInterval(function () {
+			if (document.visibilityState === "visible") sync();
+		}, POLL_INTERVAL);
+		document.addEventListener("visibilitychange", function () {
+			if (document.visibilityState === "visible") sync();
+		});
+		window.addEventListener("online", sync);
+		window.addEventListener("offline", () => setStatus({ state: "offline" }));
+	};
+
+	return {
+		init: function () {
+			ready = ready ?? start();
+			return ready;
+		},
+		getItem: (key) => local.getItem(key),
+		setItem: function (key, raw) {
+			local.setItem(key, raw);
+			queueChange(key);
+		},
+		removeItem: function (key) {
+			local.removeItem(key);
+			queueChange(key);
+		},
+		keys: () => local.keys(),
+		subscribe: function (callback) {
+			subscribers.add(callback);
+			const unsubscribeLocal = local.subscribe(callback);
+			return function () {
+				subscribers.delete(callback);
+				unsubscribeLocal();
+			};
+		},
+
+		// { state, pending, lastSyncedAt, error } - a new object whenever it changes
+		getStatus: () => status,
+		subscribeStatus: function (callback) {
+			statusSubscribers.add(callback);
+			return () => statusSubscribers.delete(callback);
+		},
+		// e.g. for a "Sync now" button
+		sync,
+	};
+}
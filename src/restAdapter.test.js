@@ -0,0 +1,229 @@
+import { createRestAdapter, mergeJSON } from "./restAdapter";
+import { localStorageAdapter } from "./storageAdapters";
+
+const SYNC_URL = "http://sync.test";
+
+// An in-memory sync server with the same API as server/syncServer.js
+// The other devices are played by calling put() directly
+let items;
+// runs once, right before the next PUT is handled - for changes made "at the same time" elsewhere
+let beforeNextPut;
+// answers conflicts on missing keys like an older server did: 409 without current
+let isCurrentOmitted;
+
+const put = function (key, value, baseVersion, updatedAt = Date.now()) {
+	const current = items[key];
+	if ((current?.version ?? 0) !== baseVersion)
+		return [409, isCurrentOmitted ? {} : { current: current ?? { value: null, version: 0, updatedAt: 0 } }];
+
+	items[key] = { value, version: (current?.version ?? 0) + 1, updatedAt };
+	return [200, { version: items[key].version, updatedAt }];
+};
+
+const fakeFetch = async function (url, { method = "GET", body } = {}) {
+	const { pathname } = new URL(url);
+	let answer = [404, { error: "Not found" }];
+
+	if (method === "GET" && pathname === "/items") answer = [200, JSON.parse(JSON.stringify(items))];
+	if (method === "PUT" && pathname.startsWith("/items/")) {
+		const callback = beforeNextPut;
+		beforeNextPut = null;
+		callback?.();
+
+		const { value, baseVersion, updatedAt } = JSON.parse(body);
+		answer = put(decodeURIComponent(pathname.slice("/items/".length)), value, baseVersion, updatedAt);
+	}
+
+	const [status, data] = answer;
+	return { ok: status < 300, status, json: async () => data };
+};
+
+// stored values look like useLocalStoragestate's
+const stored = (value) => JSON.stringify({ version: 1, value });
+const readLocal = (key) => JSON.parse(localStorage.getItem(key))?.value;
+const readServer = (key) => JSON.parse(items[key].value).value;
+
+const createAdapter = (options) =>
+	createRestAdapter({ url: SYNC_URL, local: localStorageAdapter, shouldSync: (key) => key !== "listTab", ...options });
+
+beforeEach(function () {
+	jest.useFakeTimers();
+	localStorage.clear();
+	items = {};
+	beforeNextPut = null;
+	isCurrentOmitted = false;
+	global.fetch = jest.fn(fakeFetch);
+	jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+});
+
+afterEach(function () {
+	jest.useRealTimers();
+	jest.restoreAllMocks();
+});
+
+describe("mergeJSON", function () {
+	test("keeps the changes of both sides, field by field", function () {
+		const base = [{ imdbID: "tt1", userRating: 5, note: "" }];
+		const local = [{ imdbID: "tt1", userRating: 5, note: "great" }];
+		const remote = [{ imdbID: "tt1", userRating: 8, note: "" }];
+
+		expect(mergeJSON(base, local, remote)).toEqual([{ imdbID: "tt1", userRating: 8, note: "great" }]);
+	});
+
+	test("keeps the additions and removals of both sides", function () {
+		const base = [{ imdbID: "tt1" }, { imdbID: "tt2" }];
+		const local = [{ imdbID: "tt2" }, { imdbID: "tt3" }];
+		const remote = [{ imdbID: "tt1" }, { imdbID: "tt2" }, { imdbID: "tt4" }];
+
+		expect(mergeJSON(base, local, remote)).toEqual([{ imdbID: "tt2" }, { imdbID: "tt3" }, { imdbID: "tt4" }]);
+	});
+
+	test("takes the local side when both changed the same field", function () {
+		expect(mergeJSON({ rating: 5 }, { rating: 6 }, { rating: 7 })).toEqual({ rating: 6 });
+	});
+
+	test("merges everything with no base", function () {
+		expect(mergeJSON(undefined, [{ imdbID: "tt1" }], [{ imdbID: "tt2" }])).toEqual([
+			{ imdbID: "tt1" },
+			{ imdbID: "tt2" },
+		]);
+	});
+});
+
+describe("createRestAdapter", function () {
+	test("sends the changes and keeps the keys that don't sync on the device", async function () {
+		const adapter = createAdapter();
+		await adapter.init();
+
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }]));
+		adapter.setItem("listTab", stored("watchlist"));
+		expect(adapter.getStatus().pending).toBe(1);
+
+		await adapter.sync();
+		expect(readServer("watched")).toEqual([{ imdbID: "tt1" }]);
+		expect(items.listTab).toBeUndefined();
+		expect(adapter.getStatus()).toMatchObject({ state: "synced", pending: 0, error: null });
+	});
+
+	test("applies the changes made on another device and tells the subscribers", async function () {
+		const adapter = createAdapter();
+		const callback = jest.fn();
+		adapter.subscribe(callback);
+		await adapter.init();
+		await adapter.sync();
+
+		put("watched", stored([{ imdbID: "tt1" }]), 0);
+		await adapter.sync();
+
+		expect(readLocal("watched")).toEqual([{ imdbID: "tt1" }]);
+		expect(callback).toHaveBeenCalledWith("watched", items.watched.value);
+	});
+
+	test("merges the data a device had before syncing with the server's, on both sides", async function () {
+		localStorage.setItem("watched", stored([{ imdbID: "tt-B1" }, { imdbID: "tt-B2" }]));
+		put("watched", stored([{ imdbID: "tt-A" }]), 0);
+
+		const adapter = createAdapter();
+		await adapter.init();
+		await adapter.sync();
+
+		const merged = [{ imdbID: "tt-B1" }, { imdbID: "tt-B2" }, { imdbID: "tt-A" }];
+		expect(readLocal("watched")).toEqual(merged);
+		expect(readServer("watched")).toEqual(merged);
+	});
+
+	test("sends the data a device had before syncing without waiting for a change", async function () {
+		localStorage.setItem("watched", stored([{ imdbID: "tt1" }]));
+
+		const adapter = createAdapter();
+		await adapter.init();
+		await adapter.sync();
+
+		expect(readServer("watched")).toEqual([{ imdbID: "tt1" }]);
+	});
+
+	test("merges a conflict found while sending, and sends the result", async function () {
+		const adapter = createAdapter();
+		await adapter.init();
+		adapter.setItem("watched", stored([{ imdbID: "tt1", userRating: 5, note: "" }]));
+		await adapter.sync();
+
+		adapter.setItem("watched", stored([{ imdbID: "tt1", userRating: 5, note: "great" }]));
+		beforeNextPut = () => put("watched", stored([{ imdbID: "tt1", userRating: 8, note: "" }, { imdbID: "tt2" }]), 1);
+		await adapter.sync();
+
+		const merged = [{ imdbID: "tt1", userRating: 8, note: "great" }, { imdbID: "tt2" }];
+		expect(readLocal("watched")).toEqual(merged);
+		expect(readServer("watched")).toEqual(merged);
+		expect(items.watched.version).toBe(3);
+	});
+
+	test("keeps the value written last with lastWriteWins", async function () {
+		const adapter = createAdapter({ conflicts: "lastWriteWins" });
+		await adapter.init();
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }]));
+		await adapter.sync();
+
+		adapter.setItem("watched", stored([{ imdbID: "tt2" }]));
+		put("watched", stored([{ imdbID: "tt3" }]), 1, Date.now() + 1000);
+		await adapter.sync();
+
+		expect(readLocal("watched")).toEqual([{ imdbID: "tt3" }]);
+		expect(readServer("watched")).toEqual([{ imdbID: "tt3" }]);
+		expect(adapter.getStatus().pending).toBe(0);
+	});
+
+	test.each([
+		["with the missing key as current", false],
+		["without current", true],
+	])("syncs again after the server lost its data (409 %s)", async function (_, omitCurrent) {
+		const adapter = createAdapter();
+		await adapter.init();
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }]));
+		await adapter.sync();
+
+		items = {};
+		isCurrentOmitted = omitCurrent;
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }, { imdbID: "tt2" }]));
+		await adapter.sync();
+
+		expect(adapter.getStatus()).toMatchObject({ state: "synced", pending: 0, error: null });
+		expect(readServer("watched")).toEqual([{ imdbID: "tt1" }, { imdbID: "tt2" }]);
+	});
+
+	test("queues the changes made offline and sends them when back online", async function () {
+		const adapter = createAdapter();
+		await adapter.init();
+		await adapter.sync();
+
+		jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }]));
+		await adapter.sync();
+		expect(adapter.getStatus()).toMatchObject({ state: "offline", pending: 1 });
+		expect(items.watched).toBeUndefined();
+
+		jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+		await adapter.sync();
+		expect(readServer("watched")).toEqual([{ imdbID: "tt1" }]);
+		expect(adapter.getStatus().pending).toBe(0);
+	});
+
+	test("keeps a change made while the previous one was being sent", async function () {
+		const adapter = createAdapter();
+		await adapter.init();
+		await adapter.sync();
+		adapter.setItem("watched", stored([{ imdbID: "tt1" }]));
+
+		// e.g. from another tab - the queue is shared through localStorage
+		beforeNextPut = function () {
+			jest.advanceTimersByTime(1);
+			adapter.setItem("watched", stored([{ imdbID: "tt1" }, { imdbID: "tt2" }]));
+		};
+		await adapter.sync();
+		expect(adapter.getStatus().pending).toBe(1);
+
+		await adapter.sync();
+		expect(readServer("watched")).toEqual([{ imdbID: "tt1" }, { imdbID: "tt2" }]);
+		expect(adapter.getStatus().pending).toBe(0);
+	});
+});
@@ -0,0 +1,87 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker - makes the app work without a network (built by react-scripts with Workbox, only in production builds)
+// - the app shell (index.html, JS, CSS...) is precached, so the app always opens
+// - OMDB details are cached the first time they're fetched, searches are kept as a fallback for when the network is down
+// - posters are cached as they're shown
+// The watched list itself is kept on the device (see storageAdapters) - it never needed the network
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, NetworkFirst } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+
+const DAY = 24 * 60 * 60;
+
+clientsClaim();
+
+// every file of the build - the list is injected by react-scripts
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Every navigation gets index.html (the app shell), except for files (e.g. /manifest.json) and URLs starting with /_
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+	function ({ request, url }) {
+		if (request.mode !== "navigate") return false;
+		if (url.pathname.startsWith("/_")) return false;
+		if (url.pathname.match(fileExtensionRegexp)) return false;
+		return true;
+	},
+	createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`),
+);
+
+// OMDB requests are the fetch() calls (no destination) recognized by their parameters: i= / t= (details) and s= (searches)
+// (the endpoint can be changed with REACT_APP_OMDB_BASE_URL, even to a proxy on this same server, so the URL can't be trusted)
+const isOmdbRequest = (request, url, params) =>
+	request.destination === "" && params.some((param) => url.searchParams.has(param));
+
+// OMDB answers errors with a 200 too ({ Response: "False", Error: "..." }) - only real answers are kept
+const omdbAnswersOnly = {
+	cacheWillUpdate: async function ({ response }) {
+		if (response.status !== 200) return null;
+		const data = await response
+			.clone()
+			.json()
+			.catch(() => null);
+		return data && data.Response !== "False" ? response : null;
+	},
+};
+
+// the details of a movie don't change - once cached, they're used without asking OMDB again (as omdbClient's own cache does)
+registerRoute(
+	({ request, url }) => isOmdbRequest(request, url, ["i", "t"]),
+	new CacheFirst({
+		cacheName: "omdb-details",
+		plugins: [omdbAnswersOnly, new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 30 * DAY })],
+	}),
+);
+
+// searches always go to OMDB first - the cached answer is only used when the network is down
+registerRoute(
+	({ request, url }) => isOmdbRequest(request, url, ["s"]),
+	new NetworkFirst({
+		cacheName: "omdb-searches",
+		networkTimeoutSeconds: 5,
+		plugins: [omdbAnswersOnly, new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 7 * DAY })],
+	}),
+);
+
+// posters come from another server without CORS, so their responses are opaque (status 0)
+// opaque responses take a lot of room in the storage quota - there's a limit, and old ones are dropped if the quota runs out
+registerRoute(
+	({ request, url }) => request.destination === "image" && url.origin !== self.location.origin,
+	new CacheFirst({
+		cacheName: "posters",
+		plugins: [
+			new CacheableResponsePlugin({ statuses: [0, 200] }),
+			new ExpirationPlugin({ maxEntries: 300, maxAgeSeconds: 60 * DAY, purgeOnQuotaError: true }),
+		],
+	}),
+);
+
+// lets a page activate a new version right away: registration.waiting.postMessage({ type: "SKIP_WAITING" })
+self.addEventListener("message", function (event) {
+	if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
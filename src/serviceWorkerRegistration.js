@@ -0,0 +1,60 @@
+// Registers the service worker (src/service-worker.js), which makes the app work offline
+// Only in production builds - in development it would keep serving old files while we edit them
+
+// a new version, installed and waiting for the old one to go away - see useAppUpdate
+let waitingWorker = null;
+const updateListeners = new Set();
+
+const setWaitingWorker = function (worker) {
+	waitingWorker = worker;
+	updateListeners.forEach((listener) => listener());
+};
+
+export const isUpdateReady = () => Boolean(waitingWorker);
+
+export function subscribeUpdate(listener) {
+	updateListeners.add(listener);
+	return () => updateListeners.delete(listener);
+}
+
+// switches to the new version right away (instead of once every tab is closed) and reloads the page with it
+export function applyUpdate() {
+	if (!waitingWorker) return;
+
+	navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), { once: true });
+	waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
+
+export function register() {
+	if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+	// the service worker only works on the same origin as the page (PUBLIC_URL may point to a CDN)
+	const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+	if (publicUrl.origin !== window.location.origin) return;
+
+	window.addEventListener("load", function () {
+		navigator.serviceWorker
+			.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+			.then(function (registration) {
+				// installed during an earlier visit, still waiting
+				if (registration.waiting && navigator.serviceWorker.controller) setWaitingWorker(registration.waiting);
+
+				// a new version is installed - it takes over when every tab of the old one is closed (or with applyUpdate)
+				registration.addEventListener("updatefound", function () {
+					const worker = registration.installing;
+					worker?.addEventListener("statechange", function () {
+						if (worker.state === "installed" && navigator.serviceWorker.controller) setWaitingWorker(worker);
+					});
+				});
+			})
+			.catch((err) => console.error("Error registering the service worker: ", err.message));
+	});
+}
+
+export function unregister() {
+	if (!("serviceWorker" in navigator)) return;
+
+	navigator.serviceWorker.ready
+		.then((registration) => registration.unregister())
+		.catch((err) => console.error("Error unregistering the service worker: ", err.message));
+}
@@ -0,0 +1,132 @@
+import { createRestAdapter } from "./restAdapter";
+
+// Where useLocalStoragestate keeps its data - every adapter has the same shape:
+// - init() - a Promise, resolved when the adapter can be used (the app waits for it before rendering)
+//   Calling it again returns the same Promise
+// - getItem(key) - the raw string stored under key, or null. Synchronous: adapters keep what they need in memory
+// - setItem(key, raw) / removeItem(key) - save right away in memory, and in the real storage (possibly later)
+// - keys() - every key stored
+// - subscribe(callback) - callback(key, raw) runs when a value is changed somewhere else (another tab, another device)
+//   key is null when everything was cleared. Returns the unsubscribe function
+// Adapters that sync with something else also have getStatus() / subscribeStatus(callback) (see restAdapter)
+
+// The plain localStorage - the default
+export const localStorageAdapter = {
+	init: () => Promise.resolve(),
+	getItem: (key) => localStorage.getItem(key),
+	// may throw (e.g. storage full) - useLocalStoragestate catches it
+	setItem: (key, raw) => localStorage.setItem(key, raw),
+	removeItem: (key) => localStorage.removeItem(key),
+	keys: () => Object.keys(localStorage),
+
+	// the storage event fires when ANOTHER tab changes localStorage
+	subscribe: function (callback) {
+		const handleStorage = function (e) {
+			if (e.storageArea === localStorage) callback(e.key, e.newValue);
+		};
+
+		window.addEventListener("storage", handleStorage);
+		return () => window.removeEventListener("storage", handleStorage);
+	},
+};
+
+// localStorage keys that are not app data (the OMDB cache, restAdapter's bookkeeping) - never copied to another adapter
+const LOCAL_ONLY_KEYS = ["requestCache", "sync.queue", "sync.base"];
+
+// What the "rest" storage syncs: the lists of the default profile ("watched", "watchlist") only
+// The other profiles are created on each device with a random id, so their keys ("profile.<id>.watched") never match across devices
+// Everything else (tabs, sorting, recent searches, undo history, the profiles themselves) stays on each device
+const SYNCED_KEYS = ["watched", "watchlist"];
+const isSyncedKey = (key) => SYNCED_KEYS.includes(key);
+
+const idbRequest = (request) =>
+	new Promise(function (resolve, reject) {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+// IndexedDB has no 5MB limit like localStorage - for long lists
+// Everything is read into memory once (in init), so reads stay synchronous; writes go to IndexedDB in the background
+// The first time (empty database) the data already in localStorage is copied over, so nothing is lost when switching
+export function createIndexedDBAdapter({ dbName = "usePopcorn", storeName = "keyval" } = {}) {
+	const items = new Map();
+	const subscribers = new Set();
+	// other tabs are told about changes through a BroadcastChannel (IndexedDB has no storage event)
+	const channel = new BroadcastChannel(`${dbName}.${storeName}`);
+	let db = null;
+	let ready = null;
+
+	channel.onmessage = function ({ data: { key, raw } }) {
+		if (key === null) items.clear();
+		else if (raw === null) items.delete(key);
+		else items.set(key, raw);
+		subscribers.forEach((callback) => callback(key, raw));
+	};
+
+	const write = function (key, raw) {
+		const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+		idbRequest(raw === null ? store.delete(key) : store.put(raw, key)).catch((err) =>
+			console.error(`Could not save "${key}" to IndexedDB: `, err.message),
+		);
+		channel.postMessage({ key, raw });
+	};
+
+	const open = async function () {
+		const request = indexedDB.open(dbName, 1);
+		request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+		db = await idbRequest(request);
+
+		const store = db.transaction(storeName).objectStore(storeName);
+		const [keys, values] = await Promise.all([idbRequest(store.getAllKeys()), idbRequest(store.getAll())]);
+		keys.forEach((key, i) => items.set(key, values[i]));
+
+		if (!items.size)
+			Object.keys(localStorage)
+				.filter((key) => !LOCAL_ONLY_KEYS.includes(key))
+				.forEach(function (key) {
+					items.set(key, localStorage.getItem(key));
+					write(key, localStorage.getItem(key));
+				});
+	};
+
+	return {
+		init: function () {
+			ready = ready ?? open();
+			return ready;
+		},
+		getItem: (key) => items.get(key) ?? null,
+		setItem: function (key, raw) {
+			items.set(key, raw);
+			write(key, raw);
+		},
+		removeItem: function (key) {
+			items.delete(key);
+			write(key, null);
+		},
+		keys: () => [...items.keys()],
+		subscribe: function (callback) {
+			subscribers.add(callback);
+			return () => subscribers.delete(callback);
+		},
+	};
+}
+
+// The adapter picked in the environment (REACT_APP_STORAGE): "localStorage" (default), "indexedDB" or "rest"
+// "rest" keeps the data in localStorage too, and syncs it with the server at REACT_APP_SYNC_URL
+export function createStorageAdapter(type = process.env.REACT_APP_STORAGE || "localStorage") {
+	switch (type) {
+		case "localStorage":
+			return localStorageAdapter;
+		case "indexedDB":
+			return createIndexedDBAdapter();
+		case "rest":
+			return createRestAdapter({
+				url: process.env.REACT_APP_SYNC_URL || "http://localhost:4000",
+				conflicts: process.env.REACT_APP_SYNC_CONFLICTS || "merge",
+				local: localStorageAdapter,
+				shouldSync: isSyncedKey,
+			});
+		default:
+			throw new Error(`Unknown storage "${type}" - use "localStorage", "indexedDB" or "rest"`);
+	}
+}
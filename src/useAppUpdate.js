@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { subscribeUpdate, isUpdateReady } from "./serviceWorkerRegistration";
+
+// true once a new version of the app is installed (production builds only) - applyUpdate switches to it
+export function useAppUpdate() {
+	return useSyncExternalStore(subscribeUpdate, isUpdateReady);
+}
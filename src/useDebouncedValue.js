@@ -0,0 +1,21 @@
+import { useState, useEffect } from "react";
+
+// Returns value once it has stopped changing for delay ms - e.g. to search once the user stops typing, not on every key
+// A delay of 0 returns the value right away
+export function useDebouncedValue(value, delay) {
+	const [debouncedValue, setDebouncedValue] = useState(value);
+
+	useEffect(
+		function () {
+			const timer = setTimeout(() => setDebouncedValue(value), delay);
+
+			// cleanup function - a new value restarts the wait
+			return function () {
+				clearTimeout(timer);
+			};
+		},
+		[value, delay],
+	);
+
+	return delay > 0 ? debouncedValue : value;
+}
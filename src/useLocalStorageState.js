@@ -1,16 +1,195 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, createContext, useContext } from "react";
+import { localStorageAdapter } from "./storageAdapters";
 
+// Every value is stored together with the version of its shape: { version, value }
+// Values saved before versioning existed (the raw value only) count as version 0
+// When the shape of a stored value changes, register a migration for the new version (see registerMigration) and old data is upgraded on load
+
+// Profiles keep their data apart: every key is stored with the prefix of the active profile in front (see useProfiles)
+// Migrations are registered for the key without the prefix, so they apply to every profile
+export const StorageNamespaceContext = createContext("");
+
+// Where the values are kept - localStorage unless StorageProvider gives another adapter (see storageAdapters)
+const StorageAdapterContext = createContext(localStorageAdapter);
+
+// Gives adapter to every useLocalStoragestate inside - nothing is rendered until the adapter is ready
+// An adapter that can't be opened (e.g. IndexedDB blocked in a private window) is replaced by localStorage,
+// where the data was before anyway - better than an app with empty lists that can't save anything
+export function StorageProvider({ adapter, fallback = null, children }) {
+	// the adapter once ready (adapter itself, or localStorage if it failed) - null while it gets ready
+	const [readyAdapter, setReadyAdapter] = useState(null);
+
+	useEffect(
+		function () {
+			let isCancelled = false;
+			adapter
+				.init()
+				.then(
+					() => adapter,
+					function (err) {
+						console.error("Could not open the storage, using localStorage instead: ", err.message);
+						return localStorageAdapter;
+					},
+				)
+				.then((ready) => !isCancelled && setReadyAdapter(ready));
+
+			// cleanup function - a new adapter has to get ready first
+			return function () {
+				isCancelled = true;
+				setReadyAdapter(null);
+			};
+		},
+		[adapter],
+	);
+
+	return (
+		<StorageAdapterContext.Provider value={readyAdapter ?? adapter}>
+			{readyAdapter ? children : fallback}
+		</StorageAdapterContext.Provider>
+	);
+}
+
+export function useStorageAdapter() {
+	return useContext(StorageAdapterContext);
+}
+
+// key -> { [version]: migrate(oldValue) => newValue }
+const migrations = {};
+
+// Registers the function that upgrades the value stored under key from version - 1 to version
+// Call it at module level, before any component using the key renders
+export function registerMigration(key, version, migrate) {
+	migrations[key] = { ...migrations[key], [version]: migrate };
+}
+
+// The current version of a key is the latest one with a migration (0 if it never had any)
+const currentVersion = (key) => Math.max(0, ...Object.keys(migrations[key] ?? {}).map(Number));
+
+const isVersioned = (stored) =>
+	stored !== null &&
+	typeof stored === "object" &&
+	!Array.isArray(stored) &&
+	Object.keys(stored).length === 2 &&
+	"version" in stored &&
+	"value" in stored;
+
+// Keeps a copy of data we couldn't read, so it can still be recovered by hand, instead of just overwriting it
+function quarantine(storage, key, raw, err) {
+	const quarantineKey = `${key}.corrupt.${Date.now()}`;
+	console.error(`Could not read "${key}" from the storage, a copy was saved as "${quarantineKey}": `, err.message);
+	try {
+		storage.setItem(quarantineKey, raw);
+	} catch {
+		// storage full - nothing else we can do
+	}
+}
+
+// the version of a stored string - 0 for data saved before versioning (or that can't be read)
+const storedVersion = function (raw) {
+	try {
+		const stored = JSON.parse(raw);
+		return isVersioned(stored) ? stored.version : 0;
+	} catch {
+		return 0;
+	}
+};
+
+// Saved by a newer version of the app (in another tab, or synced from another device): this one can't read it,
+// and must not write over it either - the key stays read-only, and the initial state is shown instead
+const isFromNewerApp = (key, raw) => raw !== null && storedVersion(raw) > currentVersion(key);
+
+// Parses the raw stored string (found under storageKey) and runs the pending migrations of key
+// Returns undefined when there's nothing stored (or it couldn't be read)
+function readStoredValue(storage, key, storageKey, raw) {
+	if (raw === null) return undefined;
+
+	if (isFromNewerApp(key, raw)) {
+		console.error(
+			`"${storageKey}" was saved by a newer version of the app (${storedVersion(raw)}, this one reads up to ${currentVersion(key)}) - it's left as it is`,
+		);
+		return undefined;
+	}
+
+	try {
+		const stored = JSON.parse(raw);
+		let { version, value } = isVersioned(stored) ? stored : { version: 0, value: stored };
+
+		const targetVersion = currentVersion(key);
+
+		for (version++; version <= targetVersion; version++) {
+			const migrate = migrations[key]?.[version];
+			if (migrate) value = migrate(value);
+		}
+
+		return value ?? undefined;
+	} catch (err) {
+		quarantine(storage, storageKey, raw, err);
+		return undefined;
+	}
+}
+
+const serialize = (key, value) => JSON.stringify({ version: currentVersion(key), value });
+
+// The name is older than the storage adapters - the value goes to whatever storage StorageProvider gave (localStorage by default)
 export function useLocalStoragestate(initialState, key) {
+	const storageKey = useContext(StorageNamespaceContext) + key;
+	const storage = useContext(StorageAdapterContext);
+
+	// the string last read from / written to the storage - avoids writing back what we just received from another tab
+	const lastRaw = useRef(null);
+	// callers usually pass a new [] / {} on every render - the first one is enough, and keeps the storage listener from being re-added every time
+	const initialStateRef = useRef(initialState);
+	// the stored value comes from a newer app - nothing is written (see isFromNewerApp)
+	const isReadOnly = useRef(false);
+
 	const [value, setValue] = useState(function () {
-		const storedValue = JSON.parse(localStorage.getItem(key));
-		return storedValue || initialState;
+		const raw = storage.getItem(storageKey);
+		const storedValue = readStoredValue(storage, key, storageKey, raw);
+		// nothing stored: the initial state is not written either - for a synced storage it would look like a new change
+		lastRaw.current = raw ?? serialize(key, initialState);
+		isReadOnly.current = isFromNewerApp(key, raw);
+		return storedValue ?? initialState;
 	});
 
 	useEffect(
 		function () {
-			localStorage.setItem(key, JSON.stringify(value));
+			const raw = serialize(key, value);
+			if (raw === lastRaw.current || isReadOnly.current) return;
+
+			lastRaw.current = raw;
+			try {
+				storage.setItem(storageKey, raw);
+			} catch (err) {
+				// e.g. storage full - the value still lives in the state until the page is closed
+				console.error(`Could not save "${storageKey}": `, err.message);
+			}
+		},
+		[value, key, storageKey, storage],
+	);
+
+	// keeps several open tabs (or devices, with a synced storage) in sync: the adapter tells about changes made elsewhere
+	useEffect(
+		function () {
+			const unsubscribe = storage.subscribe(function (changedKey, raw) {
+				// changedKey is null when the whole storage was cleared
+				if (changedKey === null) {
+					lastRaw.current = null;
+					isReadOnly.current = false;
+					setValue(initialStateRef.current);
+					return;
+				}
+
+				if (changedKey !== storageKey) return;
+
+				lastRaw.current = raw;
+				isReadOnly.current = isFromNewerApp(key, raw);
+				setValue(readStoredValue(storage, key, storageKey, raw) ?? initialStateRef.current);
+			});
+
+			// cleanup function - stops listening after unmount
+			return unsubscribe;
 		},
-		[value, key],
+		[key, storageKey, storage],
 	);
 
 	return [value, setValue];
@@ -0,0 +1,56 @@
+import { renderHook, act } from "@testing-library/react";
+import { useLocalStoragestate, registerMigration } from "./useLocalStorageState";
+
+// the same steps as the watched list: v1 turned the raw array into objects, v2 added a field to each of them
+registerMigration("movies", 1, (movies) => movies.map((imdbID) => ({ imdbID })));
+registerMigration("movies", 2, (movies) => movies.map((movie) => ({ ...movie, viewings: [] })));
+
+const readStored = (key) => JSON.parse(localStorage.getItem(key));
+
+beforeEach(function () {
+	localStorage.clear();
+	jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(function () {
+	jest.restoreAllMocks();
+});
+
+describe("useLocalStoragestate", function () {
+	test("migrates a value saved before versioning through every version, and saves the result", function () {
+		localStorage.setItem("movies", JSON.stringify(["tt1", "tt2"]));
+
+		const { result } = renderHook(() => useLocalStoragestate([], "movies"));
+
+		const migrated = [
+			{ imdbID: "tt1", viewings: [] },
+			{ imdbID: "tt2", viewings: [] },
+		];
+		expect(result.current[0]).toEqual(migrated);
+		expect(readStored("movies")).toEqual({ version: 2, value: migrated });
+	});
+
+	test("keeps a copy of a value that can't be read, and starts from the initial state", function () {
+		jest.spyOn(Date, "now").mockReturnValue(1000);
+		localStorage.setItem("movies", "{not json");
+
+		const { result } = renderHook(() => useLocalStoragestate([], "movies"));
+
+		expect(result.current[0]).toEqual([]);
+		expect(localStorage.getItem("movies.corrupt.1000")).toBe("{not json");
+		expect(readStored("movies")).toEqual({ version: 2, value: [] });
+	});
+
+	test("leaves a value saved by a newer version of the app as it is", function () {
+		const raw = JSON.stringify({ version: 99, value: { shape: "unknown" } });
+		localStorage.setItem("movies", raw);
+
+		const { result } = renderHook(() => useLocalStoragestate([], "movies"));
+		expect(result.current[0]).toEqual([]);
+
+		// not even after a change made here
+		act(() => result.current[1]([{ imdbID: "tt1", viewings: [] }]));
+		expect(localStorage.getItem("movies")).toBe(raw);
+		expect(Object.keys(localStorage)).toEqual(["movies"]);
+	});
+});
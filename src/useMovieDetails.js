@@ -0,0 +1,59 @@
+import { useState, useEffect } from "react";
+import { getTitleById } from "./omdbClient";
+
+export function useMovieDetails(id) {
+	const [movie, setMovie] = useState({});
+	const [isLoading, setIsLoading] = useState(false);
+	// an OmdbError (see omdbClient), or null
+	const [error, setError] = useState(null);
+	// bumped by retry() - fetches the same movie again
+	const [attempt, setAttempt] = useState(0);
+
+	useEffect(
+		function () {
+			// nothing selected, nothing to fetch
+			if (!id) {
+				setMovie({});
+				setError(null);
+				return;
+			}
+
+			// when the user clicks through the list quickly, an earlier (slower) request could finish after the current one and show the wrong movie
+			// aborting it in the cleanup function makes sure only the details of the current id ever reach the state
+			const controller = new AbortController();
+
+			async function getMovieDetails() {
+				try {
+					setIsLoading(true);
+					setError(null);
+
+					// Call OMDB to fetch the selected movie (movies opened before come straight from the cache)
+					const data = await getTitleById(id, { signal: controller.signal });
+
+					setMovie(data);
+					setError(null);
+				} catch (err) {
+					// AbortError means a newer id replaced this one - not an actual error
+					if (err.name !== "AbortError") {
+						console.error("Error: ", err.message);
+						setError(err);
+					}
+				} finally {
+					// an aborted request must not end the loading state of the request that replaced it
+					if (!controller.signal.aborted) setIsLoading(false);
+				}
+			}
+			// Actually call the function to get the selected movie details
+			getMovieDetails();
+
+			// Cleanup function - abort the fetch when the id changes (or the component unmounts)
+			return function () {
+				controller.abort();
+			};
+		},
+		// triggers the effect on mount AND whenever the id changes (or retry is called)
+		[id, attempt],
+	);
+
+	return { movie, isLoading, error, retry: () => setAttempt((attempt) => attempt + 1) };
+}
@@ -1,47 +1,130 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { searchTitles, searchCachedTitles, OmdbNetworkError } from "./omdbClient";
+import { useDebouncedValue } from "./useDebouncedValue";
 
-// OMDB Key
-const OMDB_KEY = "af2eaa9a";
+// OMDB always returns (at most) 10 results per page
+const RESULTS_PER_PAGE = 10;
+// with a year range whole pages may be filtered out - after this many in a row, the next pages are only loaded on demand
+const MAX_EMPTY_PAGES = 3;
+
+// OMDB only filters by a single year (y=). For a range we search without it and narrow down each page here instead
+// Year comes as "1999" for movies, but as "2005–2010" or "2005–" for series - the first year is the one that counts
+const isInYearRange = (movie, from, to) => {
+	const year = parseInt(movie.Year);
+	return (!from || year >= from) && (!to || year <= to);
+};
+
+// Translates the year typed in the search bar into what is sent to OMDB and what has to be filtered locally
+// Accepts a single year ("1999") or a range, open or closed ("1990-1999", "1990-", "-1999")
+// Anything else is ignored, as if no year had been typed
+export const parseYearFilter = function (input = "") {
+	const value = input.trim();
+
+	// a single year is handled by OMDB itself
+	if (/^\d{4}$/.test(value)) return { year: value, range: null };
+
+	const match = value.match(/^(\d{4})?\s*[-–]\s*(\d{4})?$/);
+	if (!match || (!match[1] && !match[2])) return { year: "", range: null };
+
+	const [from, to] = [match[1] ? +match[1] : null, match[2] ? +match[2] : null];
+	// the same year twice is just a single year
+	if (from === to) return { year: String(from), range: null };
+	// accept a closed range in any order
+	if (from && to && from > to) return { year: "", range: { from: to, to: from } };
+	return { year: "", range: { from, to } };
+};
+
+// debounce: how long (ms) to wait after the last key pressed before searching (0: search on every change)
+export function useMovies(typedQuery, callback, { type = "", year: typedYear = "", debounce = 0 } = {}) {
+	// the text inputs (query and year) are debounced - the type is a select, one change at a time
+	const query = useDebouncedValue(typedQuery, debounce);
+	const yearInput = useDebouncedValue(typedYear, debounce);
 
-export function useMovies(query, callback) {
 	const [movies, setMovies] = useState([]);
 	const [isLoading, setIsLoading] = useState(false);
-	const [error, setError] = useState("");
+	const [isLoadingMore, setIsLoadingMore] = useState(false);
+	// an OmdbError (see omdbClient), or null
+	const [error, setError] = useState(null);
+	// the same for the last "load more" - the results already loaded stay
+	const [loadMoreError, setLoadMoreError] = useState(null);
+	// bumped by retry() - runs the same search again
+	const [attempt, setAttempt] = useState(0);
+	const [page, setPage] = useState(0);
+	const [totalResults, setTotalResults] = useState(0);
+	// pages loaded in a row that added no movie (all outside the year range, or repeated)
+	const [emptyPages, setEmptyPages] = useState(0);
+	// true when OMDB couldn't be reached and the results come from earlier searches (see searchCachedTitles)
+	const [isFromCache, setIsFromCache] = useState(false);
+
+	// controller for the "load more" fetch. It lives in a ref so the query effect can abort it when a new search starts.
+	// It also works as a lock: while it is set, a page is already being loaded and further loadMore calls are ignored.
+	const loadMoreController = useRef(null);
+	// the search the effect last ran for - callback only runs when it changes
+	const lastSearch = useRef(null);
+
+	const { year, range } = parseYearFilter(yearInput);
+	const rangeFrom = range?.from;
+	const rangeTo = range?.to;
+
+	// keeps only the movies inside the year range (when there is one)
+	const narrowResults = useCallback(
+		(movies) => (rangeFrom || rangeTo ? movies.filter((movie) => isInYearRange(movie, rangeFrom, rangeTo)) : movies),
+		[rangeFrom, rangeTo],
+	);
 
 	useEffect(
 		function () {
-			// if callback is defined, call it.
-			callback?.();
+			// if callback is defined, call it - but only for a new search, not on mount (a movie opened from a link must stay open)
+			const search = JSON.stringify([query, type, year, rangeFrom, rangeTo]);
+			if (lastSearch.current !== null && lastSearch.current !== search) callback?.();
+			lastSearch.current = search;
 
 			// this controller will help kill the fetch events that accumulate due to the App rendering after every key pressed in the search (search is a state, so whenever it changes, the app re-renders and re-fetches)
 			const controller = new AbortController();
 
+			// a new search invalidates any "load more" still running for the previous query
+			loadMoreController.current?.abort();
+			loadMoreController.current = null;
+			setIsLoadingMore(false);
+			setEmptyPages(0);
+			setLoadMoreError(null);
+
 			async function fetchMovies() {
 				try {
 					setIsLoading(true);
-					setError("");
+					setError(null);
 
-					// Call OMDB to fetch movies
-					const res = await fetch(`https://www.omdbapi.com/?apikey=${OMDB_KEY}&s=${query}`, {
+					const data = await searchTitles(
+						{ query, page: 1, type, year },
 						// signal makes the fetch listen to the abort signal given by the cleanup function
-						signal: controller.signal,
-					});
-
-					// If Fetch didn't return valid results throw error
-					if (!res.ok) throw new Error("Something went wrong while fetching movies");
+						{ signal: controller.signal },
+					);
 
-					const data = await res.json();
-
-					// If data.Response is "False" that means the search didn't produce results
-					if (data.Response === "False") throw new Error("Movie not found");
-
-					setMovies(data.Search);
-					setError("");
+					setMovies(narrowResults(data.Search));
+					setTotalResults(+data.totalResults);
+					setPage(1);
+					setIsFromCache(false);
+					setError(null);
 				} catch (err) {
+					// offline (or OMDB is down) - the titles we've already seen are better than nothing
+					if (err instanceof OmdbNetworkError) {
+						const data = searchCachedTitles({ query, type, year });
+						setMovies(narrowResults(data.Search));
+						setTotalResults(+data.totalResults);
+						setPage(1);
+						setIsFromCache(true);
+						setError(
+							data.Search.length
+								? null
+								: new OmdbNetworkError("You're offline, and this search doesn't match any movie seen before"),
+						);
+						return;
+					}
+
 					// AbortError refers to the cancellation of the previous fetch operations, it doesn't really interest us - not an actual error
 					if (err.name !== "AbortError") {
 						console.error(err.message);
-						setError(err.message);
+						setError(err);
 					}
 				} finally {
 					setIsLoading(false);
@@ -51,7 +134,10 @@ export function useMovies(query, callback) {
 			// Prevents calling the fetchMovies function when we have less than 3 characters in the search bar
 			if (query.length < 3) {
 				setMovies([]);
-				setError("");
+				setTotalResults(0);
+				setPage(0);
+				setIsFromCache(false);
+				setError(null);
 				return;
 			}
 
@@ -67,8 +153,67 @@ export function useMovies(query, callback) {
 				controller.abort();
 			};
 		},
-		// triggers this effect on mount AND whenever there is a change in the query state
-		[query, callback],
+		// triggers this effect on mount AND whenever there is a change in the query state or in the filters
+		[query, callback, type, year, narrowResults, rangeFrom, rangeTo, attempt],
+	);
+
+	// counting pages instead of movies, because duplicates (and movies outside the year range) are dropped and movies.length may never reach totalResults
+	// cached results all come at once
+	const hasMore = !isFromCache && page > 0 && page < Math.ceil(totalResults / RESULTS_PER_PAGE);
+
+	// Fetches the next page and appends it to the current results
+	const loadMore = useCallback(
+		async function () {
+			// nothing else to load, first page still loading or another page already on its way
+			if (!hasMore || isLoading || loadMoreController.current) return;
+
+			const controller = new AbortController();
+			loadMoreController.current = controller;
+
+			try {
+				setIsLoadingMore(true);
+				setLoadMoreError(null);
+
+				const data = await searchTitles({ query, page: page + 1, type, year }, { signal: controller.signal });
+
+				// OMDB sometimes repeats a movie across pages - skip the ones we already have (imdbID is used as key in the list)
+				const newMovies = narrowResults(data.Search).filter((movie) => !movies.some((m) => m.imdbID === movie.imdbID));
+				setMovies((movies) => [...movies, ...newMovies]);
+				setPage(page + 1);
+				setEmptyPages((emptyPages) => (newMovies.length ? 0 : emptyPages + 1));
+			} catch (err) {
+				if (err.name !== "AbortError") {
+					console.error(err.message);
+					setLoadMoreError(err);
+				}
+			} finally {
+				// only release the lock if it is still ours (a new search may already have replaced it)
+				if (loadMoreController.current === controller) {
+					loadMoreController.current = null;
+					setIsLoadingMore(false);
+				}
+			}
+		},
+		[query, page, hasMore, isLoading, type, year, narrowResults, movies],
 	);
-	return { isLoading, movies, error };
+
+	// with a year range OMDB can't tell us how many movies match, so the best we can report is how many we've found so far
+	return {
+		isLoading,
+		isLoadingMore,
+		movies,
+		error,
+		page,
+		totalResults: range ? movies.length : totalResults,
+		isPartialTotal: !!range && hasMore,
+		hasMore,
+		// false after a few empty pages in a row, or a failed one - loadMore should wait for the user then (e.g. a "Load more" button)
+		canAutoLoad: emptyPages < MAX_EMPTY_PAGES && !loadMoreError,
+		isFromCache,
+		loadMore,
+		// loading the same page again is loadMore()
+		loadMoreError,
+		// after an error - runs the search again
+		retry: () => setAttempt((attempt) => attempt + 1),
+	};
 }
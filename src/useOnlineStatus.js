@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+
+const subscribe = function (callback) {
+	window.addEventListener("online", callback);
+	window.addEventListener("offline", callback);
+
+	// cleanup function - removes the listeners after unmount
+	return function () {
+		window.removeEventListener("online", callback);
+		window.removeEventListener("offline", callback);
+	};
+};
+
+// false while the browser has no network (it may still be true on a network that doesn't reach the internet)
+export function useOnlineStatus() {
+	return useSyncExternalStore(subscribe, () => navigator.onLine);
+}
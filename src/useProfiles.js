@@ -0,0 +1,145 @@
+import { useState, createContext, useContext, Fragment } from "react";
+import { useLocalStoragestate, useStorageAdapter, StorageNamespaceContext } from "./useLocalStorageState";
+
+// Profiles let several people use the app on the same device, each with their own lists
+// Everything saved with useLocalStoragestate below ProfilesProvider goes to the active profile only
+// The first profile keeps the keys without prefix, so the data saved before profiles existed becomes its data
+// With no active profile (locked, or after deleting one) the app is replaced by lockScreen, where a profile has to be picked
+// Each tab has its own active profile: switching (or locking) in one tab doesn't move the others
+// The last one picked is saved - the next visit (or a new tab) opens it, unless it has a PIN: a profile with a PIN is only open
+// in the tab where the PIN was typed - a reload or another tab shows lockScreen again
+
+const DEFAULT_PROFILE_ID = "default";
+
+const DEFAULT_PROFILES = {
+	profiles: [{ id: DEFAULT_PROFILE_ID, name: "Me", pinHash: null }],
+	activeId: DEFAULT_PROFILE_ID,
+};
+
+const namespaceOf = (id) => (id === DEFAULT_PROFILE_ID ? "" : `profile.${id}.`);
+
+// The PIN is not a password: anyone with the browser's dev tools can read (or wipe) the storage anyway
+// It's only hashed so it can't be read at a glance there - a simple FNV-1a is enough for that
+const hashPin = function (pin) {
+	let hash = 0x811c9dc5;
+	for (const char of `usePopcorn:${pin}`) {
+		hash ^= char.charCodeAt(0);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return (hash >>> 0).toString(16);
+};
+
+const checkPin = (profile, pin) => !profile.pinHash || profile.pinHash === hashPin(pin);
+
+// removes every key saved by a profile (the default one has no prefix - its data is never removed this way)
+const removeProfileData = function (storage, id) {
+	const prefix = namespaceOf(id);
+	if (!prefix) return;
+
+	storage
+		.keys()
+		.filter((key) => key.startsWith(prefix))
+		.forEach((key) => storage.removeItem(key));
+};
+
+const ProfilesContext = createContext(null);
+
+export function ProfilesProvider({ lockScreen, children }) {
+	// not inside any profile - the list of profiles is shared by all of them
+	const [{ profiles, activeId: savedActiveId }, setState] = useLocalStoragestate(DEFAULT_PROFILES, "profiles");
+	// the profile open in this tab - only the list of profiles follows the changes made in other tabs
+	const [activeId, setActiveId] = useState(savedActiveId);
+	// the profile with a PIN unlocked in this tab - only in memory, so it's never saved anywhere
+	const [unlockedId, setUnlockedId] = useState(null);
+	const savedProfile = profiles.find((profile) => profile.id === activeId);
+	const activeProfile = savedProfile && (!savedProfile.pinHash || savedProfile.id === unlockedId) ? savedProfile : null;
+	const storage = useStorageAdapter();
+
+	// switching needs the PIN of the profile (when it has one) - returns false when it's wrong
+	const switchProfile = function (id, pin = "") {
+		const profile = profiles.find((profile) => profile.id === id);
+		if (!profile || !checkPin(profile, pin)) return false;
+
+		if (profile.pinHash) setUnlockedId(id);
+		setActiveId(id);
+		setState((state) => ({ ...state, activeId: id }));
+		return true;
+	};
+
+	// the new profile becomes the active one
+	const createProfile = function (name, pin = "") {
+		const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+		if (pin) setUnlockedId(id);
+		setActiveId(id);
+		setState((state) => ({
+			profiles: [...state.profiles, { id, name: name.trim(), pinHash: pin ? hashPin(pin) : null }],
+			activeId: id,
+		}));
+	};
+
+	// the profile being changed is always the active one, which was already unlocked with its PIN
+	const updateActiveProfile = function ({ name, pin }) {
+		if (pin) setUnlockedId(activeProfile.id);
+		setState((state) => ({
+			...state,
+			profiles: state.profiles.map((profile) =>
+				profile.id !== activeProfile.id
+					? profile
+					: {
+							...profile,
+							...(name !== undefined && { name: name.trim() }),
+							// an empty PIN removes it
+							...(pin !== undefined && { pinHash: pin ? hashPin(pin) : null }),
+						},
+			),
+		}));
+	};
+
+	// the first profile can't be deleted - it holds the data saved before profiles existed
+	// the app is locked afterwards: the next profile may have a PIN
+	const deleteActiveProfile = function () {
+		if (activeProfile.id === DEFAULT_PROFILE_ID) return;
+
+		removeProfileData(storage, activeProfile.id);
+		setActiveId(null);
+		setState((state) => ({
+			profiles: state.profiles.filter((profile) => profile.id !== activeProfile.id),
+			activeId: null,
+		}));
+	};
+
+	// leaves the app to someone else - they have to pick their profile (and type its PIN)
+	const lock = function () {
+		setUnlockedId(null);
+		setActiveId(null);
+		setState((state) => ({ ...state, activeId: null }));
+	};
+
+	const value = {
+		profiles,
+		activeProfile,
+		canDeleteActive: activeProfile?.id !== DEFAULT_PROFILE_ID,
+		switchProfile,
+		createProfile,
+		updateActiveProfile,
+		deleteActiveProfile,
+		lock,
+	};
+
+	return (
+		<ProfilesContext.Provider value={value}>
+			{activeProfile ? (
+				<StorageNamespaceContext.Provider value={namespaceOf(activeProfile.id)}>
+					{/* a new key starts the whole app from scratch - every useLocalStoragestate reads the new profile's data */}
+					<Fragment key={activeProfile.id}>{children}</Fragment>
+				</StorageNamespaceContext.Provider>
+			) : (
+				lockScreen
+			)}
+		</ProfilesContext.Provider>
+	);
+}
+
+export function useProfiles() {
+	return useContext(ProfilesContext);
+}
@@ -0,0 +1,139 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+
+// Central registry of the keyboard shortcuts - a single document listener for all of them
+// Keys are written as combos, e.g. "Escape", "Ctrl+K", "Ctrl+Shift+Z", "?"
+// - Ctrl also matches the ⌘ key, so Ctrl+Z works as ⌘+Z on a Mac
+// - letters ignore case, symbols (like "?") ignore Shift (it's needed to type them anyway)
+// - a sequence is several combos separated by spaces, pressed one after the other: "g w"
+// Shortcuts are ignored while typing in a text field, unless registered with allowInInputs
+// A shortcut with a scope only works when the focus is inside an element marked with data-shortcut-scope="<scope>"
+// When several shortcuts match, scoped ones win over global ones, and the last registered wins between equals
+
+// How long (ms) the next key of a sequence is waited for
+const SEQUENCE_TIMEOUT = 1000;
+
+const MODIFIER_KEYS = ["Control", "Shift", "Alt", "Meta"];
+
+// id -> { id, keys, steps, description, scope, allowInInputs, actionRef }
+const shortcuts = new Map();
+let nextId = 0;
+
+// what the help overlay reads - a new array whenever a shortcut is added or removed
+let snapshot = [];
+const listeners = new Set();
+
+// the keys pressed recently, for sequences
+let recentKeys = [];
+let lastKeyTime = 0;
+
+// "Ctrl+Shift+Z" -> { ctrl: true, shift: true, alt: false, key: "z" }
+const parseCombo = function (combo) {
+	const parts = combo.split("+");
+	const modifiers = parts.slice(0, -1).map((modifier) => modifier.toLowerCase());
+	const key = parts.at(-1) === "Space" ? " " : parts.at(-1);
+
+	return {
+		ctrl: modifiers.includes("ctrl"),
+		shift: modifiers.includes("shift"),
+		alt: modifiers.includes("alt"),
+		key: key.toLowerCase(),
+	};
+};
+
+const isSymbol = (key) => key.length === 1 && !/[a-z0-9 ]/.test(key);
+
+const matchesStep = function (step, e) {
+	if (step.ctrl !== (e.ctrlKey || e.metaKey)) return false;
+	if (step.alt !== e.altKey) return false;
+	if (!isSymbol(step.key) && step.shift !== e.shiftKey) return false;
+
+	// e.code covers keyboards (or Alt on a Mac) where the letter typed is not the letter of the key
+	return e.key.toLowerCase() === step.key || e.code === `Key${step.key.toUpperCase()}`;
+};
+
+// the last keys pressed must be the steps of the sequence, in order
+const matchesKeys = (steps, keys) =>
+	steps.length <= keys.length && steps.every((step, i) => matchesStep(step, keys[keys.length - steps.length + i]));
+
+const isTextField = (el) => ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName) || el?.isContentEditable;
+
+const isInScope = (scope, el) => !scope || Boolean(el?.closest?.(`[data-shortcut-scope="${scope}"]`));
+
+const handleKeyDown = function (e) {
+	// already used by the focused element (e.g. StarRating changes the rating with the arrow keys)
+	if (e.defaultPrevented || MODIFIER_KEYS.includes(e.key)) return;
+
+	if (e.timeStamp - lastKeyTime > SEQUENCE_TIMEOUT) recentKeys = [];
+	lastKeyTime = e.timeStamp;
+
+	const longestSequence = Math.max(...[...shortcuts.values()].map((shortcut) => shortcut.steps.length));
+	recentKeys = [...recentKeys, e].slice(-longestSequence);
+
+	const candidates = [...shortcuts.values()]
+		.filter(
+			(shortcut) =>
+				(shortcut.allowInInputs || !isTextField(e.target)) &&
+				isInScope(shortcut.scope, e.target) &&
+				matchesKeys(shortcut.steps, recentKeys),
+		)
+		// scoped first, then the most recently registered
+		.sort((a, b) => Boolean(b.scope) - Boolean(a.scope) || b.id - a.id);
+
+	// an action returning false leaves the key to the next shortcut (or to the browser)
+	const shortcut = candidates.find((shortcut) => shortcut.actionRef.current(e) !== false);
+	if (!shortcut) return;
+
+	e.preventDefault();
+	recentKeys = [];
+};
+
+const updateSnapshot = function () {
+	snapshot = [...shortcuts.values()].map(({ id, keys, description, scope }) => ({ id, keys, description, scope }));
+	listeners.forEach((listener) => listener());
+};
+
+const register = function (shortcut) {
+	const id = nextId++;
+	if (!shortcuts.size) document.addEventListener("keydown", handleKeyDown);
+	shortcuts.set(id, { ...shortcut, id });
+	updateSnapshot();
+
+	return function () {
+		shortcuts.delete(id);
+		if (!shortcuts.size) document.removeEventListener("keydown", handleKeyDown);
+		updateSnapshot();
+	};
+};
+
+const subscribe = function (listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+};
+
+// Every registered shortcut: [{ id, keys, description, scope }] - for the help overlay
+export function useShortcutList() {
+	return useSyncExternalStore(subscribe, () => snapshot);
+}
+
+// action(e) runs when the keys are pressed - return false from it to let the key through after all
+// description is shown in the help overlay (shortcuts without one are not listed)
+export function useShortcut(keys, action, { description = "", scope, allowInInputs = false } = {}) {
+	// the latest action is used without registering the shortcut again (it would move in the list and lose its order)
+	const actionRef = useRef(action);
+	useEffect(function () {
+		actionRef.current = action;
+	});
+
+	useEffect(
+		function () {
+			const steps = keys.split(" ").map(parseCombo);
+			const unregister = register({ keys, steps, description, scope, allowInInputs, actionRef });
+
+			// cleanup function - removes the shortcut after unmount
+			return unregister;
+		},
+
+		// triggers this effect on mount AND if the keys or the options change
+		[keys, description, scope, allowInInputs],
+	);
+}
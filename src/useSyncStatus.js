@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from "react";
+import { useStorageAdapter } from "./useLocalStorageState";
+
+const subscribeNothing = () => () => {};
+const noStatus = () => null;
+
+// { state: "syncing" / "synced" / "offline" / "error", pending, lastSyncedAt, error } of a storage that syncs (see restAdapter)
+// null for the storages that don't (localStorage, IndexedDB)
+export function useSyncStatus() {
+	const storage = useStorageAdapter();
+	return useSyncExternalStore(storage.subscribeStatus ?? subscribeNothing, storage.getStatus ?? noStatus);
+}
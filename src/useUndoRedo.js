@@ -0,0 +1,64 @@
+import { useLocalStoragestate } from "./useLocalStorageState";
+
+// How many steps are kept (and persisted) - enough to recover from misclicks without filling localStorage
+const MAX_STEPS = 30;
+
+// Undo / redo for a list of items identified by imdbID
+// Every step is a label (shown to the user) plus the changes it made. Each change is { id, index, before, after }:
+// - adding an item: before is null
+// - deleting an item: after is null
+// - editing an item: both are set
+// Only the changed items are kept (not copies of the whole list), so many steps fit in localStorage
+
+// Applies the changes to the list, going to the "before" or to the "after" state of each item
+// Items are found by id, so other changes made in the meantime (e.g. in another tab) are kept
+export function applyChanges(list, changes, direction) {
+	// undoing goes through the changes backwards
+	const ordered = direction === "before" ? [...changes].reverse() : changes;
+
+	return ordered.reduce(function (list, change) {
+		const item = change[direction];
+		const index = list.findIndex((listItem) => listItem.imdbID === change.id);
+
+		if (!item) return index === -1 ? list : list.filter((_, i) => i !== index);
+		if (index !== -1) return list.map((listItem, i) => (i === index ? item : listItem));
+
+		// put it back where it was (or at the end, if the list got shorter since)
+		const position = Math.min(change.index, list.length);
+		return [...list.slice(0, position), item, ...list.slice(position)];
+	}, list);
+}
+
+export function useUndoRedo(setList, key) {
+	// past: steps that can be undone (most recent last) / future: steps that can be redone (most recent first)
+	const [history, setHistory] = useLocalStoragestate({ past: [], future: [] }, key);
+
+	// makes a change to the list and records it, so it can be undone
+	// a new change makes the undone steps impossible to redo
+	const commit = function (label, changes) {
+		if (!changes.length) return;
+		setList((list) => applyChanges(list, changes, "after"));
+		setHistory((history) => ({ past: [...history.past, { label, changes }].slice(-MAX_STEPS), future: [] }));
+	};
+
+	// both return the step undone / redone (null if there was none), so the caller can tell the user what happened
+	const undo = function () {
+		const step = history.past.at(-1);
+		if (!step) return null;
+
+		setList((list) => applyChanges(list, step.changes, "before"));
+		setHistory((history) => ({ past: history.past.slice(0, -1), future: [step, ...history.future] }));
+		return step;
+	};
+
+	const redo = function () {
+		const step = history.future.at(0);
+		if (!step) return null;
+
+		setList((list) => applyChanges(list, step.changes, "after"));
+		setHistory((history) => ({ past: [...history.past, step], future: history.future.slice(1) }));
+		return step;
+	};
+
+	return { commit, undo, redo, canUndo: history.past.length > 0, canRedo: history.future.length > 0 };
+}
@@ -0,0 +1,207 @@
+import { getTitleByName, OmdbNotFoundError } from "./omdbClient";
+
+// Import / export of the watched list
+// Exports: JSON (the list exactly as stored) and CSV (one column per field of WATCHED_FIELDS)
+// Imports: the same two formats, plus Letterboxd's diary.csv / ratings.csv
+
+// The fields every watched movie has - also the columns of our CSV, in this order
+export const WATCHED_FIELDS = ["imdbID", "title", "year", "poster", "runtime", "imdbRating", "userRating"];
+
+// Thrown when a file can't be understood at all (wrong format, empty...)
+export class ImportError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "ImportError";
+	}
+}
+
+/* ******* EXPORT ******* */
+
+export const watchedToJSON = (watched) => JSON.stringify(watched, null, 2);
+
+// Quotes a CSV value when needed (commas, quotes or line breaks inside it) - quotes are escaped by doubling them
+const toCSVValue = function (value) {
+	const text = value === undefined || value === null ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const watchedToCSV = (watched) =>
+	[WATCHED_FIELDS, ...watched.map((movie) => WATCHED_FIELDS.map((field) => movie[field]))]
+		.map((row) => row.map(toCSVValue).join(","))
+		.join("\r\n");
+
+// Makes the browser download the text as a file
+export function downloadFile(text, fileName, type) {
+	const url = URL.createObjectURL(new Blob([text], { type }));
+	const link = document.createElement("a");
+	link.href = url;
+	link.download = fileName;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+/* ******* IMPORT ******* */
+
+// Splits a CSV text into rows of values. Handles quoted values (with commas, doubled quotes and line breaks inside) and \r\n line endings
+export function parseCSV(text) {
+	const rows = [];
+	let row = [];
+	let value = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				value += '"';
+				i++;
+			} else if (char === '"') inQuotes = false;
+			else value += char;
+			continue;
+		}
+
+		if (char === '"') inQuotes = true;
+		else if (char === ",") {
+			row.push(value);
+			value = "";
+		} else if (char === "\n" || char === "\r") {
+			// \r\n is a single line break
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(value);
+			rows.push(row);
+			row = [];
+			value = "";
+		} else value += char;
+	}
+
+	// last line may not end with a line break
+	if (value || row.length) rows.push([...row, value]);
+
+	// blank lines are not rows
+	return rows.filter((row) => row.some((value) => value.trim()));
+}
+
+// Turns the CSV rows into objects, using the first row (header) as keys
+const csvToObjects = function (text) {
+	const [header = [], ...rows] = parseCSV(text);
+	const keys = header.map((key) => key.trim());
+	return { keys, objects: rows.map((row) => Object.fromEntries(keys.map((key, i) => [key, row[i]?.trim() ?? ""]))) };
+};
+
+// "136 min", "136" or 136 all become 136. Anything else (e.g. "N/A") becomes NaN, as when adding a movie from the details
+const toNumber = (value) => (typeof value === "number" ? value : parseFloat(value));
+
+// User ratings go from 0.5 to 10, in half stars (0 means the movie wasn't rated)
+const toUserRating = function (value) {
+	const rating = Math.round(toNumber(value) * 2) / 2;
+	return Number.isNaN(rating) ? 0 : Math.min(Math.max(rating, 0), 10);
+};
+
+// Brings any imported object into the shape of a watched movie
+// Fields we don't know about (e.g. ratingHistory from a JSON export) are kept as they are
+const toWatchedMovie = (movie) => ({
+	...movie,
+	imdbID: String(movie.imdbID ?? "").trim(),
+	title: String(movie.title ?? "").trim(),
+	year: movie.year ? String(movie.year) : "",
+	poster: movie.poster || "",
+	runtime: toNumber(movie.runtime),
+	imdbRating: toNumber(movie.imdbRating),
+	userRating: toUserRating(movie.userRating),
+});
+
+const parseJSON = function (text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new ImportError("This file is not valid JSON");
+	}
+
+	// accept the list itself or an object wrapping it (e.g. { watched: [...] })
+	const list = Array.isArray(data) ? data : data?.watched;
+	if (!Array.isArray(list)) throw new ImportError("This JSON file doesn't contain a list of movies");
+
+	return list.map(toWatchedMovie);
+};
+
+// Letterboxd rates from 0.5 to 5 stars - we rate from 1 to 10
+// It has no IMDb ids, those are looked up later by title and year
+// The diary has a "Watched Date" column, ratings.csv only has "Date" (the day the rating was logged)
+const fromLetterboxd = (row) =>
+	toWatchedMovie({
+		title: row.Name,
+		year: row.Year,
+		userRating: toNumber(row.Rating) * 2,
+		date: row["Watched Date"] || row.Date || null,
+	});
+
+// Reads the text of an imported file and returns the movies in it, in the shape of the watched list
+// Movies coming without an imdbID (Letterboxd) still have to go through resolveImport
+export function parseImport(text, fileName = "") {
+	// Excel and friends like to start files with a BOM
+	const content = text.replace(/^\uFEFF/, "").trim();
+	if (!content) throw new ImportError("This file is empty");
+
+	if (fileName.toLowerCase().endsWith(".json") || content.startsWith("[") || content.startsWith("{"))
+		return { format: "JSON", movies: parseJSON(content) };
+
+	const { keys, objects } = csvToObjects(content);
+
+	if (keys.includes("Letterboxd URI")) return { format: "Letterboxd", movies: objects.map(fromLetterboxd) };
+	if (keys.includes("imdbID")) return { format: "CSV", movies: objects.map(toWatchedMovie) };
+
+	throw new ImportError("Unknown CSV format - expected a usePopcorn or a Letterboxd export");
+}
+
+// Import statuses shown in the preview
+// new: not in the list yet / duplicate: already in the list (the user decides what to keep)
+// notFound: no IMDb match for the title / noRating: can't be added to the watched list without a rating
+export const IMPORT_STATUS = { new: "new", duplicate: "duplicate", notFound: "notFound", noRating: "noRating" };
+
+// Looks up the missing IMDb ids in OMDB and checks every imported movie against the current watched list
+// onProgress(done, total) is called after each lookup. Aborting the signal stops the lookups (rejects with AbortError)
+export async function resolveImport(movies, watched, { signal, onProgress } = {}) {
+	const resolved = [];
+	const toLookUp = movies.filter((movie) => !movie.imdbID).length;
+	let lookedUp = 0;
+
+	// one lookup at a time - a big Letterboxd export would burn the API quota (and get rate limited) otherwise
+	for (const movie of movies) {
+		if (movie.imdbID) {
+			resolved.push(movie);
+			continue;
+		}
+
+		try {
+			const data = await getTitleByName(movie.title, { year: movie.year, type: "movie", signal });
+			resolved.push({
+				...movie,
+				imdbID: data.imdbID,
+				title: data.Title,
+				year: data.Year,
+				poster: data.Poster,
+				runtime: toNumber(data.Runtime),
+				imdbRating: toNumber(data.imdbRating),
+			});
+		} catch (err) {
+			// anything else (offline, bad API key, daily limit...) would fail every other lookup too - the whole import stops
+			if (!(err instanceof OmdbNotFoundError)) throw err;
+			resolved.push({ ...movie, status: IMPORT_STATUS.notFound });
+		}
+
+		onProgress?.(++lookedUp, toLookUp);
+	}
+
+	// the same movie may appear more than once (e.g. rewatches in the Letterboxd diary) - the last one wins
+	const byId = new Map();
+	resolved.forEach((movie, i) => byId.set(movie.imdbID || `notFound-${i}`, movie));
+
+	return [...byId.values()].map(function (movie) {
+		if (movie.status) return movie;
+		if (!movie.userRating) return { ...movie, status: IMPORT_STATUS.noRating };
+		const isDuplicate = watched.some((watchedMovie) => watchedMovie.imdbID === movie.imdbID);
+		return { ...movie, status: isDuplicate ? IMPORT_STATUS.duplicate : IMPORT_STATUS.new };
+	});
+}